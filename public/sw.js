@@ -1,5 +1,10 @@
-// Cache only external Soundfont assets. Do not cache HTML or app code.
+// Caches:
+// - External Soundfont assets, cache-first (they never change).
+// - An opt-in offline app shell, written by the page (src/offline.js) under a per-build
+//   name. HTML stays network-first and only falls back to the shell when the network is
+//   unreachable, so an online visit never gets stuck on an old index.
 const CACHE_NAME = 'sf-cache-v1';
+const SHELL_CACHE_PREFIX = 'pt-shell-';
 
 self.addEventListener('install', (event) => {
   // Activate immediately so new logic applies on next fetches
@@ -8,9 +13,9 @@ self.addEventListener('install', (event) => {
 
 self.addEventListener('activate', (event) => {
   event.waitUntil((async () => {
-    // Clean up old caches
+    // Clean up old caches; shell caches are managed by the page
     const names = await caches.keys();
-    await Promise.all(names.map((n) => (n !== CACHE_NAME ? caches.delete(n) : Promise.resolve())));
+    await Promise.all(names.map((n) => (n !== CACHE_NAME && !n.startsWith(SHELL_CACHE_PREFIX) ? caches.delete(n) : Promise.resolve())));
     await self.clients.claim();
   })());
 });
@@ -40,15 +45,52 @@ async function cacheFirst(request) {
   return resp;
 }
 
+// Newest build's shell first (names sort by build time)
+async function matchShell(url) {
+  const names = (await caches.keys()).filter((n) => n.startsWith(SHELL_CACHE_PREFIX)).sort().reverse();
+  for (const name of names) {
+    const cache = await caches.open(name);
+    const hit = await cache.match(url, { ignoreVary: true, ignoreSearch: true });
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Network first; the cached shell is only used when the network fails
+async function networkFirstShell(request, fallbackUrl) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const cached = await matchShell(fallbackUrl);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Built assets are content-hashed, so any cached copy is the right one
+async function shellAssetFirst(request) {
+  const cached = await matchShell(request.url);
+  return cached || fetch(request);
+}
+
 self.addEventListener('fetch', (event) => {
   const { request } = event;
-  // Never handle navigations or HTML; avoid the SPA-stuck-on-old-index problem
-  if (request.mode === 'navigate') return;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
   const accept = request.headers.get('accept') || '';
-  if (accept.includes('text/html')) return;
+
+  if (request.mode === 'navigate' || accept.includes('text/html')) {
+    if (url.origin === self.location.origin) event.respondWith(networkFirstShell(request, '/index.html'));
+    return;
+  }
 
   if (isSoundfontRequest(request.url)) {
     event.respondWith(cacheFirst(request));
+    return;
   }
-});
 
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/assets/')) event.respondWith(shellAssetFirst(request));
+    else event.respondWith(networkFirstShell(request, url.pathname));
+  }
+});
@@ -1,4 +1,13 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { detectPitch, midiFromFreq } from './pitchDetection.js';
+import { INSTANT_RESPONSE_MS, closeHistory, dayKey, deleteProfileHistory, historyAggregates, historyStorage, historyToCsv, historyToJson, importHistory, loadAllHistory, loadProfileHistory, openHistory, parseHistoryFile, recentHistory } from './history.js';
+import { DEFAULT_RANGE, MIN_RANGE_SPAN, PITCH_CLASSES, PITCH_CLASS_TO_PC, RANGE_LIMITS, midiFromPitchClass, midiNoteOn, nearestMidiForPitchClass, pitchFromMidi } from './midi.js';
+import { DEFAULT_NAMING, NAMINGS, noteName, pitchClassName } from './noteNames.js';
+import { loadProfiles, newProfile, profileSettings, profileStorage, removeProfileSettings, saveProfiles } from './profiles.js';
+import { CURRICULUM_MIN_ATTEMPTS, CURRICULUM_ORDER, CURRICULUM_START, DEFAULT_CURRICULUM, DEFAULT_DETUNE, SESSION_PRESETS, clampCents, createQuizEngine, curriculumSelection, evaluateCurriculum, intonationOf, pickRandom } from './quizEngine.js';
+import { GENERATED_SOURCES, INTERFERENCE_KINDS, createMatchedFallbackSource, createMatchedGeneratedSource, createSoundfontSource, generatedLoudnessGain, isGeneratedSource, loadSoundfont, playInterference, soundfontUrl, sourceLabel } from './soundSources.js';
+import { WORST_TIMBRE_COUNT, WORST_TIMBRE_MIN_ATTEMPTS, compareSessions, confusionBy, hasInterferenceHistory, hasModeHistory, median, pctOf, practiceStreaks, summarizeBy, summarizeChords, summarizeDetune, summarizeExact, summarizeInstruments, summarizeInterference, summarizeOctaves, summarizeSession, summarizeSinging, summarizeSpeed, summarizeTrends, worstInstruments } from './stats.js';
+import { cacheAppShell, cacheSoundfonts, cachedSoundfontUrls, hasAppShell, isOfflineSupported, removeAppShell } from './offline.js';
 
 // Terminology:
 // - Pitch class: note letter without octave (e.g., C, C#, D ...)
@@ -41,179 +50,430 @@ export const INSTRUMENTS = [
   "voice_oohs",
 ];
 
-function computePeakNormalizationGain(instrument) {
+// ----- Constants -----
+// Pitch classes, MIDI helpers and range limits are in midi.js
+const RANGE_PRESETS = [
+  { label: "Default", min: 45, max: 79 }, // A2–G5
+  { label: "Bass", min: 28, max: 55 }, // E1–G3
+  { label: "Choir", min: 41, max: 81 }, // F2–A5
+  { label: "Treble", min: 60, max: 96 }, // C4–C7
+];
 
-    let chosenGain = 1;
-    const buffers = instrument && instrument.buffers;
-    if (!buffers || typeof buffers !== "object") {
-        return chosenGain;
-    }
-    const entries = Object.values(buffers);
-    let globalPeak = 0;
-    for (const buf of entries) {
-        if (!buf) continue;
-        let peak = 0;
-        for (let ch = 0; ch < buf.numberOfChannels; ch++) {
-            const data = buf.getChannelData(ch);
-            for (let i = 0; i < data.length; i++) {
-                const a = Math.abs(data[i]);
-                if (a > peak) peak = a;
-            }
-        }
-        if (peak > globalPeak) globalPeak = peak;
-    }
-    chosenGain = globalPeak > 0 ? 1 / globalPeak : 1;
-    return chosenGain;
-}
+// Pitched General MIDI instruments by family. Unpitched effects (gunshot, seashore, drums...) are left out.
+const INSTRUMENT_FAMILIES = {
+  keys: [
+    "acoustic_grand_piano", "bright_acoustic_piano", "electric_grand_piano", "honkytonk_piano", "electric_piano_1", "electric_piano_2",
+    "harpsichord", "clavinet", "celesta", "glockenspiel", "music_box", "vibraphone", "marimba", "xylophone", "tubular_bells",
+    "dulcimer", "drawbar_organ", "percussive_organ", "rock_organ", "church_organ", "reed_organ", "accordion", "tango_accordion",
+    "kalimba", "steel_drums", "tinkle_bell",
+  ],
+  strings: [
+    "acoustic_guitar_nylon", "acoustic_guitar_steel", "electric_guitar_jazz", "electric_guitar_clean", "electric_guitar_muted",
+    "overdriven_guitar", "distortion_guitar", "guitar_harmonics", "acoustic_bass", "electric_bass_finger", "electric_bass_pick",
+    "fretless_bass", "slap_bass_1", "slap_bass_2", "violin", "viola", "cello", "contrabass", "tremolo_strings", "pizzicato_strings",
+    "orchestral_harp", "string_ensemble_1", "string_ensemble_2", "sitar", "banjo", "shamisen", "koto", "fiddle",
+  ],
+  winds: [
+    "harmonica", "trumpet", "trombone", "tuba", "muted_trumpet", "french_horn", "brass_section", "soprano_sax", "alto_sax",
+    "tenor_sax", "baritone_sax", "oboe", "english_horn", "bassoon", "clarinet", "piccolo", "flute", "recorder", "pan_flute",
+    "blown_bottle", "shakuhachi", "whistle", "ocarina", "bagpipe", "shanai",
+  ],
+  voice: ["choir_aahs", "voice_oohs", "lead_6_voice", "pad_4_choir"],
+  synth: [
+    "synth_bass_1", "synth_bass_2", "synth_strings_1", "synth_strings_2", "synth_brass_1", "synth_brass_2", "lead_1_square",
+    "lead_2_sawtooth", "lead_3_calliope", "lead_4_chiff", "lead_5_charang", "lead_7_fifths", "lead_8_bass__lead", "pad_1_new_age",
+    "pad_2_warm", "pad_3_polysynth", "pad_5_bowed", "pad_6_metallic", "pad_7_halo", "pad_8_sweep", "fx_2_soundtrack",
+    "fx_3_crystal", "fx_4_atmosphere", "fx_5_brightness", "fx_7_echoes", "fx_8_scifi",
+  ],
+};
+const ALL_INSTRUMENTS = Object.values(INSTRUMENT_FAMILIES).flat();
+// The settings picker also offers synths and oscillators (src/soundSources.js); the default mix includes the synths
+const SOURCE_FAMILIES = { ...INSTRUMENT_FAMILIES, generated: Object.keys(GENERATED_SOURCES) };
+const DEFAULT_GENERATED_SOURCES = ["synth:mono", "synth:am", "synth:fm", "synth:pluck"];
 
-// ----- Constants -----
-// Use full 12-note set with sharps (pitch classes)
-const PITCH_CLASSES = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
-const PITCH_CLASS_TO_PC = { C: 0, "C#": 1, D: 2, "D#": 3, E: 4, F: 5, "F#": 6, G: 7, "G#": 8, A: 9, "A#": 10, B: 11 };
-const MIN_MIDI = 45; // A2
-const MAX_MIDI = 79; // G5
-
-// ----- Soundfont-Player loader and playback -----
-let soundfontModule = null;
+// ----- Instrument loading and playback -----
 let sfCtx = null;
 const sfCache = new Map();
-async function ensureSoundfont() {
-  if (!soundfontModule) {
-    const mod = await import('https://cdn.skypack.dev/soundfont-player');
-    soundfontModule = mod.default || mod;
-  }
-  return soundfontModule;
-}
 async function ensureAudioCtx() {
   if (!sfCtx) sfCtx = new (window.AudioContext || window.webkitAudioContext)();
   return sfCtx;
 }
+const LOAD_FAILURE_TTL_MS = 60000; // don't re-wait on an instrument that just failed
+const sfLoading = new Map(); // instrumentName -> in-flight load promise
+const sfFailedAt = new Map(); // instrumentName -> time of last failed load
 async function loadInstrument(instrumentName) {
-  const Soundfont = await ensureSoundfont();
-  const ac = await ensureAudioCtx();
   if (!sfCache.has(instrumentName)) {
-    const inst = await Soundfont.instrument(ac, instrumentName, { soundfont: 'MusyngKite' });
-    // Compute and attach a normalization gain based on peak amplitude
+    // Share one load between prefetch and play
+    if (!sfLoading.has(instrumentName)) {
+      const loading = ensureAudioCtx().then((ac) => loadSoundfont(ac, instrumentName));
+      sfLoading.set(instrumentName, loading.finally(() => sfLoading.delete(instrumentName)));
+    }
+    let inst;
     try {
-      inst._normalizationGain = computePeakNormalizationGain(inst) || 1;
-    } catch {
-      inst._normalizationGain = 1;
+      inst = await sfLoading.get(instrumentName);
+    } catch (err) {
+      sfFailedAt.set(instrumentName, Date.now());
+      throw err;
     }
+    sfFailedAt.delete(instrumentName);
     sfCache.set(instrumentName, inst);
   }
-  const cached = sfCache.get(instrumentName);
-  // Ensure normalization gain exists even if this instance was cached before this change
-  if (typeof cached?._normalizationGain !== 'number') {
-    try { cached._normalizationGain = computePeakNormalizationGain(cached) || 1; } catch { cached._normalizationGain = 1; }
+  return sfCache.get(instrumentName);
+}
+// The named source, ready to play `midis`. A soundfont that can't be loaded is replaced by a synth voice;
+// throws only if audio itself is unavailable.
+async function loadSource(instrumentName, midis) {
+  const ac = await ensureAudioCtx();
+  if (isGeneratedSource(instrumentName)) {
+    return { source: await createMatchedGeneratedSource(ac, instrumentName, midis), fallback: false };
   }
-  return cached;
+  const failedAt = sfFailedAt.get(instrumentName);
+  if (!failedAt || Date.now() - failedAt > LOAD_FAILURE_TTL_MS) {
+    try { return { source: createSoundfontSource(ac, await loadInstrument(instrumentName)), fallback: false }; } catch {}
+  }
+  return { source: await createMatchedFallbackSource(ac, midis), fallback: true };
+}
+// Load a soundfont, or measure a generated voice over every octave the range touches
+async function prefetchSource(instrumentName, range) {
+  if (!isGeneratedSource(instrumentName)) { await loadInstrument(instrumentName); return; }
+  for (let midi = range.min - (range.min % 12); midi <= range.max; midi += 12) await generatedLoudnessGain(instrumentName, midi);
 }
-async function playNoteName(instrumentName, noteName) {
-  const inst = await loadInstrument(instrumentName);
+// Optional per-note variation, so level, length and onset carry nothing about the answer
+const NOTE_DURATION_S = 1.0;
+const ARTICULATION_RANGES = {
+  velocity: [0.6, 1], // gain
+  duration: [0.6, 1.6], // seconds
+  timing: [0, 0.08], // onset delay, seconds
+};
+function randomIn([lo, hi]) { return lo + Math.random() * (hi - lo); }
+function articulate(options) {
+  return {
+    gain: options.velocity ? randomIn(ARTICULATION_RANGES.velocity) : 1,
+    duration: options.duration ? randomIn(ARTICULATION_RANGES.duration) : NOTE_DURATION_S,
+    delay: options.timing ? randomIn(ARTICULATION_RANGES.timing) : 0,
+  };
+}
+async function playMidi(instrumentName, midi, cents = 0) {
+  const { source, fallback } = await loadSource(instrumentName, [midi]);
+  const ac = await ensureAudioCtx();
+  const { gain, duration, delay } = articulate(loadArticulation());
+  source.play(midi, duration, gain, ac.currentTime + delay, cents);
+  return { fallback };
+}
+// Several notes together (stagger 0) or as an arpeggio. Gain is scaled so the sum doesn't clip
+// and durations are stretched so every note stops together.
+async function playMidis(instrumentName, midis, stagger = 0) {
+  const { source, fallback } = await loadSource(instrumentName, midis);
   const ac = await ensureAudioCtx();
-  const gain = typeof inst._normalizationGain === 'number' ? inst._normalizationGain : 1.0;
-  inst.play(noteName, ac.currentTime, { gain, duration: 1.0 });
+  const options = loadArticulation();
+  const { duration } = articulate(options);
+  const start = ac.currentTime;
+  midis.forEach((midi, index) => {
+    const { gain, delay } = articulate(options);
+    source.play(midi, duration + (midis.length - 1 - index) * stagger, gain / Math.sqrt(midis.length), start + index * stagger + delay);
+  });
+  return { fallback };
+}
+
+// ----- Microphone input -----
+const SING_SETTLE_MS = 500; // pitch must hold this long to count as the answer
+const SING_STABLE_CENTS = 35; // max wobble while holding
+const SING_TIMEOUT_MS = 10000;
+const SING_LIVE_UPDATE_MS = 100; // the live readout re-renders at most this often
+async function openMicrophone() {
+  const ac = await ensureAudioCtx();
+  if (ac.state === 'suspended') { try { await ac.resume(); } catch {} }
+  // Raw signal: browser voice processing smears pitch
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+  });
+  const source = ac.createMediaStreamSource(stream);
+  const analyser = ac.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+  return {
+    analyser,
+    sampleRate: ac.sampleRate,
+    close: () => {
+      try { source.disconnect(); } catch {}
+      stream.getTracks().forEach((track) => track.stop());
+    },
+  };
 }
 
 // ----- Storage helpers -----
+// Everything but the offline opt-in belongs to the active learner profile (see profiles.js)
 const LS_KEYS = {
   selected: "pt_selectedNotes",
-  history: "pt_history",
+  adaptive: "pt_adaptive",
+  mode: "pt_mode",
+  range: "pt_range",
+  chordOptions: "pt_chordOptions",
+  offline: "pt_offline", // device-wide
+  curriculum: "pt_curriculum",
+  sessions: "pt_sessions", // finished session summaries; attempts carry the session id
+  worstTimbres: "pt_worstTimbres",
+  midiInput: "pt_midiInput",
+  articulation: "pt_articulation",
+  detune: "pt_detune", // detuned-notes options and per-pitch-class staircase
+  interference: "pt_interference",
+  naming: "pt_naming", // how pitch classes are displayed; stored ids are always sharps
+  instruments: "sf_selectedInstruments", // shared with public/sound-lab.html
+};
+const PROFILE_LS_KEYS = Object.values(LS_KEYS).filter((key) => key !== LS_KEYS.offline);
+const MANAGE_PROFILES = "__manage"; // profile menu entry that opens settings
+
+// Practice modes (see modeOf in quizEngine.js for entries that predate them)
+const MODES = {
+  listen: "Listen",
+  exact: "Exact pitch",
+  chord: "Chords",
+  sing: "Sing",
+  detune: "Detuned notes",
 };
 
 function loadSelected() {
-  const raw = localStorage.getItem(LS_KEYS.selected);
+  const raw = profileStorage.getItem(LS_KEYS.selected);
   if (raw) {
     try { return JSON.parse(raw); } catch {}
   }
   // Default to C and two equally spaced pitch classes (every 4 semitones): C, E, G#
   return { C: true, E: true, "G#": true };
 }
-function saveSelected(sel) { localStorage.setItem(LS_KEYS.selected, JSON.stringify(sel)); }
-function loadHistory() {
-  const raw = localStorage.getItem(LS_KEYS.history);
-  if (!raw) return [];
-  try { return JSON.parse(raw) || []; } catch { return []; }
+function saveSelected(sel) { profileStorage.setItem(LS_KEYS.selected, JSON.stringify(sel)); }
+function loadAdaptive() { return profileStorage.getItem(LS_KEYS.adaptive) === "1"; }
+function saveAdaptive(on) { profileStorage.setItem(LS_KEYS.adaptive, on ? "1" : "0"); }
+function loadMode() {
+  const mode = profileStorage.getItem(LS_KEYS.mode);
+  return MODES[mode] ? mode : "listen";
 }
-function saveHistory(arr) { localStorage.setItem(LS_KEYS.history, JSON.stringify(arr)); }
-
-// ----- MIDI / Note helpers -----
-function midiFromPitchClass(pitchClassLabel, octave) {
-  const pc = PITCH_CLASS_TO_PC[pitchClassLabel];
-  return 12 * (octave + 1) + pc;
+function saveMode(mode) { profileStorage.setItem(LS_KEYS.mode, mode); }
+function clampRange({ min, max }) {
+  const lo = Math.min(Math.max(Math.round(min) || DEFAULT_RANGE.min, RANGE_LIMITS.min), RANGE_LIMITS.max - MIN_RANGE_SPAN);
+  const hi = Math.min(Math.max(Math.round(max) || DEFAULT_RANGE.max, lo + MIN_RANGE_SPAN), RANGE_LIMITS.max);
+  return { min: lo, max: hi };
 }
-function pitchFromMidi(midi) {
-  const pc = midi % 12; const octave = Math.floor(midi / 12) - 1;
-  const entries = Object.entries(PITCH_CLASS_TO_PC);
-  const pitchClass = entries.find(([, pitch]) => pitch === pc)?.[0] || "";
-  return { pitchClass, octave };
-}
-function freqFromMidi(midi) { return 440 * Math.pow(2, (midi - 69) / 12); }
-function validMidisForPitchClass(pitchClass) {
-  const midiList = [];
-  for (let octave = 0; octave <= 8; octave++) {
-    const midi = midiFromPitchClass(pitchClass, octave);
-    if (midi >= MIN_MIDI && midi <= MAX_MIDI) midiList.push(midi);
+function loadRange() {
+  const raw = profileStorage.getItem(LS_KEYS.range);
+  if (raw) {
+    try { return clampRange(JSON.parse(raw)); } catch {}
   }
-  return midiList;
+  return DEFAULT_RANGE;
 }
-function nearestMidiForPitchClass(pitchClass, targetMidi) {
-  const candidateMidis = validMidisForPitchClass(pitchClass);
-  if (!candidateMidis.length) return null;
-  let bestMidi = candidateMidis[0];
-  let bestDiffAbs = Math.abs(bestMidi - targetMidi);
-  for (let index = 1; index < candidateMidis.length; index++) {
-    const diff = Math.abs(candidateMidis[index] - targetMidi);
-    if (diff < bestDiffAbs || (diff === bestDiffAbs && candidateMidis[index] < bestMidi)) { bestMidi = candidateMidis[index]; bestDiffAbs = diff; }
-  }
-  const { pitchClass: pcLabel, octave } = pitchFromMidi(bestMidi);
-  return { midi: bestMidi, pitchClass: pcLabel, octave };
+function saveRange(range) { profileStorage.setItem(LS_KEYS.range, JSON.stringify(range)); }
+const DEFAULT_CHORD_OPTIONS = { size: 2, style: "together" }; // style: 'together' | 'arpeggio'
+const ARPEGGIO_STAGGER_S = 0.25;
+function loadChordOptions() {
+  try {
+    const options = { ...DEFAULT_CHORD_OPTIONS, ...JSON.parse(profileStorage.getItem(LS_KEYS.chordOptions)) };
+    return { size: options.size === 3 ? 3 : 2, style: options.style === "arpeggio" ? "arpeggio" : "together" };
+  } catch { return DEFAULT_CHORD_OPTIONS; }
+}
+function loadOffline() { return localStorage.getItem(LS_KEYS.offline) === "1"; }
+function saveOffline(on) { localStorage.setItem(LS_KEYS.offline, on ? "1" : "0"); }
+function loadMidiInput() {
+  try {
+    const options = JSON.parse(profileStorage.getItem(LS_KEYS.midiInput)) || {};
+    return { enabled: !!options.enabled, octaveAware: !!options.octaveAware };
+  } catch { return { enabled: false, octaveAware: false }; }
+}
+function saveMidiInput(options) { profileStorage.setItem(LS_KEYS.midiInput, JSON.stringify(options)); }
+const DEFAULT_ARTICULATION = { velocity: false, duration: false, timing: false };
+function loadArticulation() {
+  try {
+    const options = JSON.parse(profileStorage.getItem(LS_KEYS.articulation)) || {};
+    return { velocity: !!options.velocity, duration: !!options.duration, timing: !!options.timing };
+  } catch { return DEFAULT_ARTICULATION; }
+}
+function saveArticulation(options) { profileStorage.setItem(LS_KEYS.articulation, JSON.stringify(options)); }
+// Between rounds: kind is 'off', one of INTERFERENCE_KINDS, or 'mixed' (a random one each time)
+const DEFAULT_INTERFERENCE = { kind: "off", gapMs: 1000 };
+const INTERFERENCE_GAPS_MS = [0, 500, 1000, 2000, 4000]; // silence after the sound, before the next note
+function loadInterference() {
+  try {
+    const options = { ...DEFAULT_INTERFERENCE, ...JSON.parse(profileStorage.getItem(LS_KEYS.interference)) };
+    const kind = options.kind === "mixed" || INTERFERENCE_KINDS[options.kind] ? options.kind : "off";
+    return { kind, gapMs: INTERFERENCE_GAPS_MS.includes(options.gapMs) ? options.gapMs : DEFAULT_INTERFERENCE.gapMs };
+  } catch { return DEFAULT_INTERFERENCE; }
+}
+function saveInterference(options) { profileStorage.setItem(LS_KEYS.interference, JSON.stringify(options)); }
+// The sounds a round may start with; the engine picks one
+function interferenceKinds(options) {
+  if (options.kind === "off") return [];
+  return options.kind === "mixed" ? Object.keys(INTERFERENCE_KINDS) : [options.kind];
+}
+function loadNaming() {
+  const naming = profileStorage.getItem(LS_KEYS.naming);
+  return NAMINGS[naming] ? naming : DEFAULT_NAMING;
+}
+function saveNaming(naming) { profileStorage.setItem(LS_KEYS.naming, naming); }
+function loadWorstTimbres() { return profileStorage.getItem(LS_KEYS.worstTimbres) === "1"; }
+function saveWorstTimbres(on) { profileStorage.setItem(LS_KEYS.worstTimbres, on ? "1" : "0"); }
+function loadCurriculum() {
+  try {
+    const state = { ...DEFAULT_CURRICULUM, ...JSON.parse(profileStorage.getItem(LS_KEYS.curriculum)) };
+    return { ...state, level: Math.min(Math.max(Math.round(state.level) || CURRICULUM_START, CURRICULUM_START), CURRICULUM_ORDER.length) };
+  } catch { return DEFAULT_CURRICULUM; }
+}
+function loadSessions() {
+  try {
+    const list = JSON.parse(profileStorage.getItem(LS_KEYS.sessions));
+    return Array.isArray(list) ? list : [];
+  } catch { return []; }
+}
+function saveSessions(list) { profileStorage.setItem(LS_KEYS.sessions, JSON.stringify(list.slice(-SESSION_LOG_LIMIT))); }
+function saveCurriculum(state) { profileStorage.setItem(LS_KEYS.curriculum, JSON.stringify(state)); }
+function saveChordOptions(options) { profileStorage.setItem(LS_KEYS.chordOptions, JSON.stringify(options)); }
+// Instrument selection as curated in Sound Lab (or Settings); only pitched instruments and generated voices count
+function loadInstrumentSelection() {
+  try {
+    const list = JSON.parse(profileStorage.getItem(LS_KEYS.instruments)) || [];
+    return Array.from(new Set(list)).filter((name) => ALL_INSTRUMENTS.includes(name) || isGeneratedSource(name));
+  } catch { return []; }
+}
+function saveInstrumentSelection(list) { profileStorage.setItem(LS_KEYS.instruments, JSON.stringify(list)); }
+// An empty selection means the built-in mix
+function loadInstrumentPool() {
+  const selection = loadInstrumentSelection();
+  return selection.length ? selection : [...INSTRUMENTS, ...DEFAULT_GENERATED_SOURCES];
+}
+// The part of the pool that has samples to download; generated voices need nothing
+function loadSoundfontPool() {
+  return loadInstrumentPool().filter((name) => !isGeneratedSource(name));
 }
-function pickRandom(list) { return list[Math.floor(Math.random() * list.length)]; }
 
-// (Old AudioContext-based synthesis removed)
+// ----- Display helpers -----
+function formatCents(cents) {
+  if (!cents) return 'in tune';
+  return `${Math.abs(cents)} cents ${cents > 0 ? 'sharp' : 'flat'}`;
+}
 
-// ----- Stats helpers -----
-function isSameDay(tsA, tsB) {
-  const a = new Date(tsA), b = new Date(tsB);
-  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+// ----- Intonation -----
+// Detuned-notes options; the staircase itself lives in quizEngine.js
+const INTONATIONS = { flat: "Flat", "in-tune": "In tune", sharp: "Sharp" };
+const NO_DETUNE_PICK = { pitchClass: null, intonation: null };
+const DETUNE_PRESETS = [5, 10, 20, 30, 50];
+function loadDetune() {
+  try {
+    const options = { ...DEFAULT_DETUNE, ...JSON.parse(profileStorage.getItem(LS_KEYS.detune)) };
+    return { cents: clampCents(Number(options.cents) || DEFAULT_DETUNE.cents), adaptive: !!options.adaptive, staircase: options.staircase || {} };
+  } catch { return DEFAULT_DETUNE; }
 }
-function summarizeBy(rangeFilter) {
-  const history = loadHistory();
-  const items = rangeFilter ? history.filter(rangeFilter) : history;
-  const byLabel = {}; PITCH_CLASSES.forEach((pitchClass) => (byLabel[pitchClass] = { total: 0, correct: 0 }));
-  let totalCount = 0, correctCount = 0;
-  items.forEach((item) => {
-    const pc = item.pitchClass ?? item.letter; // backwards-compatible read
-    if (byLabel[pc]) { byLabel[pc].total += 1; if (item.correct) byLabel[pc].correct += 1; }
-    totalCount += 1; if (item.correct) correctCount += 1;
-  });
-  const rows = PITCH_CLASSES.map((pitchClass) => {
-    const total = byLabel[pitchClass].total, correct = byLabel[pitchClass].correct; const pct = total ? Math.round((correct/total)*100) : 0; return { label: pitchClass, total, correct, pct };
-  });
-  const allPct = totalCount ? Math.round((correctCount/totalCount)*100) : 0;
-  return { all: { label: 'All', total: totalCount, correct: correctCount, pct: allPct }, rows };
+function saveDetune(options) { profileStorage.setItem(LS_KEYS.detune, JSON.stringify(options)); }
+
+// ----- Answer input -----
+// Piano-style computer keys: white keys on the home row, black keys above. Matched by physical key (event.code).
+const ANSWER_KEYS = { KeyA: "C", KeyW: "C#", KeyS: "D", KeyE: "D#", KeyD: "E", KeyF: "F", KeyT: "F#", KeyG: "G", KeyY: "G#", KeyH: "A", KeyU: "A#", KeyJ: "B" };
+const ANSWER_KEY_HINTS = Object.fromEntries(Object.entries(ANSWER_KEYS).map(([code, pc]) => [pc, code.slice(3)]));
+// Detuned-notes mode: the bottom row answers flat, in tune, sharp
+const INTONATION_KEYS = { KeyZ: "flat", KeyX: "in-tune", KeyC: "sharp" };
+const INTONATION_KEY_HINTS = Object.fromEntries(Object.entries(INTONATION_KEYS).map(([code, id]) => [id, code.slice(3)]));
+function isMidiSupported() { return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function'; }
+
+// ----- Sessions -----
+// The engine runs them (see SESSION_PRESETS); finished ones are logged here for comparison
+const SESSION_LOG_LIMIT = 200;
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
 }
 
+// ----- History -----
+// Shown on the quiz screen and in stats until a later save gets through
+const HISTORY_ERRORS = {
+  load: "Couldn't load your practice history; stats are incomplete until it loads.",
+  save: "Couldn't save your last answer to your practice history.",
+  session: "Couldn't load that session's answers from your practice history.",
+};
+
+// ----- Trends -----
+const TREND_WINDOWS = [14, 30, 90]; // days
+function pitchClassColor(pitchClass) { return `hsl(${PITCH_CLASS_TO_PC[pitchClass] * 30}, 65%, 62%)`; }
+
+// Build time doubles as the build id for the versioned offline shell
+const BUILD_ID = (typeof __BUILD_TIME__ !== 'undefined') ? __BUILD_TIME__ : new Date().toISOString();
+
+// Every piece of quiz state reads the active profile's storage as it mounts, so switching profiles remounts the quiz
 export default function App() {
-  const [selected, setSelected] = useState(() => loadSelected());
-  const [currentNote, setCurrentNote] = useState(null); // { midi, pitchClass, octave }
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const updateProfiles = async (next) => {
+    if (next.active !== profiles.active) await closeHistory();
+    saveProfiles(next); setProfiles(next);
+  };
+  return <Quiz key={profiles.active} profiles={profiles} onChangeProfiles={updateProfiles} />;
+}
+
+// A view over the quiz engine: it owns the settings UI, audio, microphone and MIDI input, and mirrors the
+// engine's settings, current round and session in state for rendering. Settings changes go to storage and the engine together.
+function Quiz({ profiles, onChangeProfiles }) {
+  const [engine] = useState(() => createQuizEngine({
+    storage: historyStorage,
+    settings: { mode: loadMode(), selected: loadSelected(), range: loadRange(), adaptive: loadAdaptive(), curriculum: loadCurriculum(), chordOptions: loadChordOptions(), detune: loadDetune() },
+  }));
+  const [selected, setSelected] = useState(engine.settings.selected);
+  const [currentNote, setCurrentNote] = useState(null); // the engine's round: { id, midi, pitchClass, octave, heard, ... }
   const [postGuess, setPostGuess] = useState(false);
   const [lastGuessLetter, setLastGuessLetter] = useState(null);
   const [lastGuessCorrect, setLastGuessCorrect] = useState(null);
   const [nearestMap, setNearestMap] = useState(null);
-  const [showStats, setShowStats] = useState(false);
-  const lastPlayedRef = useRef([]); // rolling last 3 midis
+  const [lastGuessMidi, setLastGuessMidi] = useState(null); // exact mode only
+  const [chordPicks, setChordPicks] = useState([]); // chord mode: pitch classes picked so far
+  const [detunePick, setDetunePick] = useState(NO_DETUNE_PICK); // detuned-notes mode: the answer so far
+  const [detune, setDetune] = useState(engine.settings.detune); // { cents, adaptive, staircase }
+  const [chordOptions, setChordOptions] = useState(engine.settings.chordOptions);
+  const [importMessage, setImportMessage] = useState(null); // { ok, text } after an import, or a failed export
+  const [audioStatus, setAudioStatus] = useState(null); // null | 'loading' | 'error'
+  const [historyReady, setHistoryReady] = useState(false); // stats render from memory once the database is read
+  const [, setHistoryVersion] = useState(0); // bumps after each saved attempt, so stats re-render
+  const [historyError, setHistoryError] = useState(null); // null | 'load' | 'save' | 'session'
+  const [curriculum, setCurriculum] = useState(engine.settings.curriculum);
+  const [session, setSession] = useState(null); // active session: { id, preset, mode, startedAt, rounds }
+  const [sessionView, setSessionView] = useState(null); // summary overlay: { record, summary, comparison, saveFailed }
+  const [, setSessionTick] = useState(0); // re-renders the countdown of a timed session
+  const [offline, setOffline] = useState(() => ({ enabled: loadOffline(), shell: false, urls: new Set(), progress: null, error: null }));
+  const [overlay, setOverlay] = useState(null); // 'stats' | 'settings' | null
+  const [range, setRange] = useState(engine.settings.range);
+  const [instrumentSelection, setInstrumentSelection] = useState(() => loadInstrumentSelection());
+  const [adaptive, setAdaptive] = useState(engine.settings.adaptive);
+  const [confusionRange, setConfusionRange] = useState('all');
+  const [singRange, setSingRange] = useState('all');
+  const [exactRange, setExactRange] = useState('all');
+  const [chordRange, setChordRange] = useState('all');
+  const [speedRange, setSpeedRange] = useState('all');
+  const [instrumentRange, setInstrumentRange] = useState('all');
+  const [octaveRange, setOctaveRange] = useState('all');
+  const [detuneRange, setDetuneRange] = useState('all');
+  const [interferenceRange, setInterferenceRange] = useState('all');
+  const [worstTimbres, setWorstTimbres] = useState(() => loadWorstTimbres());
+  const [midiInput, setMidiInput] = useState(() => loadMidiInput()); // { enabled, octaveAware }
+  const [articulation, setArticulation] = useState(() => loadArticulation());
+  const [naming, setNaming] = useState(() => loadNaming());
+  const [profileName, setProfileName] = useState(''); // new profile being named in settings
+  const [pendingDelete, setPendingDelete] = useState(null); // profile id awaiting a second click
+  const [profileError, setProfileError] = useState(null); // last failed export or delete
+  const [interference, setInterference] = useState(() => loadInterference()); // { kind, gapMs }
+  const [midiStatus, setMidiStatus] = useState(null); // { state: 'connected'|'error', inputs, error }
+  const midiAccessRef = useRef(null);
+  const midiNoteRef = useRef(null); // latest note handler, so MIDI callbacks never see stale state
+  const [trendDays, setTrendDays] = useState(30);
+  const [trendLines, setTrendLines] = useState(() => PITCH_CLASSES.filter((pc) => loadSelected()[pc])); // pitch classes drawn besides overall
+  const [mode, setMode] = useState(engine.settings.mode);
+  const [singState, setSingState] = useState(null); // { status: 'listening'|'timeout'|'error', live, error }
+  const [singResult, setSingResult] = useState(null); // { pitchClass, octave, midi, cents, settleMs, correct }
+  const micRef = useRef(null); // active listening session { mic, rafId }
   const playBtnRef = useRef(null);
-  const statsStateActive = useRef(false); // tracks if we pushed a state for stats
+  const overlayStateActive = useRef(false); // tracks if we pushed a state for an overlay
   const nextInstrumentRef = useRef(null); // instrument to use for the NEXT round (prefetched)
 
   // Pick and prefetch the next instrument to minimize wait on Play
   const selectAndPrefetchNextInstrument = useCallback(async () => {
-    const next = pickRandom(INSTRUMENTS);
+    // Read fresh so Sound Lab changes in another tab apply on the next round
+    const pool = loadInstrumentPool();
+    const worst = loadWorstTimbres() ? worstInstruments(historyAggregates(), pool) : [];
+    const next = pickRandom(worst.length ? worst : pool);
     nextInstrumentRef.current = next;
-    try { await loadInstrument(next); } catch {}
-  }, []);
+    try { await prefetchSource(next, engine.settings.range); } catch {}
+  }, [engine]);
 
   // On first load, prefetch an instrument for the first round
   useEffect(() => {
@@ -221,31 +481,38 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Load history (migrating any localStorage copy) before stats and adaptive weights read it
+  useEffect(() => {
+    openHistory().then(() => setHistoryReady(true), () => setHistoryError('load'));
+  }, []);
+
+  const refreshOfflineStatus = useCallback(async () => {
+    if (!isOfflineSupported()) return;
+    try {
+      const [shell, urls] = await Promise.all([hasAppShell(BUILD_ID), cachedSoundfontUrls()]);
+      const instrumentUrls = {};
+      for (const name of ALL_INSTRUMENTS) instrumentUrls[name] = await soundfontUrl(name);
+      setOffline((prev) => ({ ...prev, shell, urls, instrumentUrls }));
+    } catch {}
+  }, []);
+
+  // Once opted in, keep the offline shell in step with the deployed build
+  useEffect(() => {
+    if (!loadOffline() || !isOfflineSupported() || !navigator.onLine) return;
+    (async () => {
+      try {
+        if (!(await hasAppShell(BUILD_ID))) await cacheAppShell(BUILD_ID);
+      } catch {}
+      refreshOfflineStatus();
+    })();
+  }, [refreshOfflineStatus]);
+
   const selectedPitchClasses = useMemo(() => PITCH_CLASSES.filter((pc)=>!!selected[pc]), [selected]);
 
-  const pickTarget = useCallback((excludeMidis = [], prevPitchClass = null) => {
-    if (selectedPitchClasses.length === 0) return null;
-    // Weighted choice: previous letter has half the weight of any other letter
-    let pitchClass;
-    if (prevPitchClass && selectedPitchClasses.length > 1 && selectedPitchClasses.includes(prevPitchClass)) {
-      const weights = selectedPitchClasses.map((pc) => (pc === prevPitchClass ? 0.5 : 1));
-      const total = weights.reduce((a, b) => a + b, 0);
-      let r = Math.random() * total;
-      for (let i = 0; i < selectedPitchClasses.length; i++) {
-        if ((r -= weights[i]) <= 0) { pitchClass = selectedPitchClasses[i]; break; }
-      }
-      if (!pitchClass) pitchClass = selectedPitchClasses[selectedPitchClasses.length - 1];
-    } else {
-      pitchClass = pickRandom(selectedPitchClasses);
-    }
-    const candidateMidis = validMidisForPitchClass(pitchClass);
-    if (!candidateMidis.length) return null;
-    const filteredMidis = candidateMidis.filter((midi)=>!excludeMidis.includes(midi));
-    const poolMidis = filteredMidis.length ? filteredMidis : candidateMidis;
-    const targetMidi = pickRandom(poolMidis);
-    const { octave } = pitchFromMidi(targetMidi);
-    return { midi: targetMidi, pitchClass, octave };
-  }, [selectedPitchClasses]);
+  // Display names in the chosen naming. Summary rows are labelled with pitch-class ids or plain words.
+  const pcName = (pitchClass) => pitchClassName(pitchClass, naming);
+  const midiName = (midi) => { const { pitchClass, octave } = pitchFromMidi(midi); return noteName(pitchClass, octave, naming); };
+  const rowLabel = (label) => (PITCH_CLASSES.includes(label) ? pcName(label) : label);
 
   const renderStatBlock = (summary) => (
     <div className="stat-rows">
@@ -256,7 +523,7 @@ export default function App() {
       </div>
       {summary.rows.map(row => (
         <div className="row" key={row.label}>
-          <div className="name">{row.label}</div>
+          <div className="name">{rowLabel(row.label)}</div>
           <div className="pct">{row.pct}%</div>
           <div className="ratio">{row.correct}/{row.total}</div>
         </div>
@@ -264,73 +531,664 @@ export default function App() {
     </div>
   );
 
+  const renderRangeFilter = (value, onChange, ariaLabel) => (
+    <div className="range-filter" role="group" aria-label={ariaLabel}>
+      {Object.entries(rangeFilters).map(([key, range]) => (
+        <button key={key} className={value === key ? 'active' : ''} aria-pressed={value === key ? 'true' : 'false'} onClick={() => onChange(key)}>{range.label}</button>
+      ))}
+    </div>
+  );
+
+  // Like renderStatBlock, plus two mode-specific columns: [{ title, render(row) }]
+  const renderWideBlock = (summary, columns) => (
+    <div className="stat-rows wide">
+      {[summary.all, ...summary.rows].map((row) => (
+        <div className={"row" + (row === summary.all ? " strong" : "")} key={row.label}>
+          <div className="name">{rowLabel(row.label)}</div>
+          <div className="pct">{row.pct}%</div>
+          <div className="ratio">{row.correct}/{row.total}</div>
+          {columns.map((column) => <div className="ratio" key={column.title} title={column.title}>{column.render(row)}</div>)}
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderSingBlock = (summary) => renderWideBlock(summary, [
+    { title: 'Median intonation error when correct', render: (row) => (row.cents === null ? '–' : `±${Math.round(row.cents)}¢`) },
+    { title: 'Median time to settle on a pitch', render: (row) => (row.settleMs === null ? '–' : `${(row.settleMs / 1000).toFixed(1)}s`) },
+  ]);
+
+  const renderSpeedBlock = (summary) => renderWideBlock(summary, [
+    { title: 'Median response time', render: (row) => (row.responseMs === null ? '–' : `${(row.responseMs / 1000).toFixed(1)}s`) },
+    { title: `Instant correct (under ${INSTANT_RESPONSE_MS / 1000} s, no replay)`, render: (row) => `${row.instant} fast` },
+  ]);
+
+  const renderChordBlock = (summary) => (
+    <>
+      <div className="stat-rows"><div className="row strong">
+        <div className="name">{summary.whole.label}</div>
+        <div className="pct">{summary.whole.pct}%</div>
+        <div className="ratio">{summary.whole.correct}/{summary.whole.total}</div>
+      </div></div>
+      {renderStatBlock(summary)}
+    </>
+  );
+
+  const renderDetuneBlock = (summary) => renderWideBlock(summary, [
+    { title: 'Wrong sharp / flat / in-tune judgments', render: (row) => `${row.intonationErrors} tune` },
+    { title: 'Current detune offset', render: (row) => (row.offset === null ? '–' : `${Math.round(row.offset)}¢`) },
+  ]);
+
+  const renderExactBlock = (summary) => renderWideBlock(summary, [
+    { title: 'Pitch-class errors', render: (row) => `${row.pitchClassErrors} pc` },
+    { title: 'Octave errors (right pitch class, wrong octave)', render: (row) => `${row.octaveErrors} oct` },
+  ]);
+
+  // Answer widget for exact mode: one key per playable MIDI note
+  const renderPiano = () => {
+    const midis = [];
+    for (let midi = range.min; midi <= range.max; midi++) midis.push(midi);
+    const isBlack = (midi) => [1, 3, 6, 8, 10].includes(midi % 12);
+    const whiteCount = midis.filter((midi) => !isBlack(midi)).length;
+    const whiteWidth = 100 / whiteCount;
+    let whiteIndex = 0;
+    const keys = midis.map((midi) => {
+      const { pitchClass, octave } = pitchFromMidi(midi);
+      const black = isBlack(midi);
+      const style = black
+        ? { left: `${whiteIndex * whiteWidth}%`, width: `${whiteWidth * 0.6}%` }
+        : { left: `${whiteIndex * whiteWidth}%`, width: `${whiteWidth}%` };
+      if (!black) whiteIndex += 1;
+      const cls = ['piano-key', black ? 'black' : 'white'];
+      if (postGuess && currentNote) {
+        if (midi === lastGuessMidi) cls.push(lastGuessCorrect ? 'guessed-correct' : 'guessed-incorrect');
+        else if (midi === currentNote.midi) cls.push('correct-indicator');
+      }
+      // Like the guess buttons, only selected pitch classes are answerable
+      const disabled = !currentNote || !selected[pitchClass] || (!postGuess && !currentNote.heard);
+      return (
+        <button key={midi} className={cls.join(' ')} style={style} disabled={disabled} aria-label={noteName(pitchClass, octave, naming)} onClick={() => onPianoKey(midi)}>
+          {pitchClass === 'C' && <span className="piano-label">{noteName(pitchClass, octave, naming)}</span>}
+        </button>
+      );
+    });
+    return <div className="piano">{keys}</div>;
+  };
+
+  // Accuracy lines over attempts-per-day bars, as plain SVG in viewBox units
+  const renderTrends = (days) => {
+    const width = 600, left = 34, right = 6, lineTop = 8, lineHeight = 140, barTop = 172, barHeight = 44, height = barTop + barHeight + 18;
+    const slot = (width - left - right) / days.length;
+    const x = (index) => left + (index + 0.5) * slot;
+    const y = (fraction) => lineTop + lineHeight * (1 - fraction);
+    const maxAttempts = Math.max(1, ...days.map((day) => day.attempts));
+    // Days without listen attempts leave a gap rather than dragging the line to zero
+    const series = (pick) => days.map((day, index) => ({ day, index, stat: pick(day) })).filter(({ stat }) => stat?.total);
+    const path = (points) => points.map(({ index, stat }, i) => `${i && points[i - 1].index === index - 1 ? 'L' : 'M'}${x(index).toFixed(1)},${y(stat.correct / stat.total).toFixed(1)}`).join('');
+    const renderLine = (key, pick, className, color) => {
+      const points = series(pick);
+      return (
+        <g key={key} className={className} style={color ? { color } : undefined}>
+          <path d={path(points)} />
+          {points.map(({ day, index, stat }) => (
+            <circle key={day.day} cx={x(index)} cy={y(stat.correct / stat.total)} r={className === 'trend-overall' ? 3 : 2}>
+              <title>{`${key === 'all' ? 'All' : pcName(key)} ${day.day}: ${pctOf(stat.correct, stat.total)}% (${stat.correct}/${stat.total})`}</title>
+            </circle>
+          ))}
+        </g>
+      );
+    };
+    const labelDays = [0, Math.floor((days.length - 1) / 2), days.length - 1];
+    return (
+      <svg className="trend-chart" viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Daily accuracy and attempts">
+        {[0, 0.5, 1].map((fraction) => (
+          <g key={fraction} className="trend-grid">
+            <line x1={left} x2={width - right} y1={y(fraction)} y2={y(fraction)} />
+            <text x={left - 4} y={y(fraction) + 4} textAnchor="end">{fraction * 100}%</text>
+          </g>
+        ))}
+        {trendLines.map((pc) => renderLine(pc, (day) => day.pitchClasses[pc], 'trend-pitch-class', pitchClassColor(pc)))}
+        {renderLine('all', (day) => day, 'trend-overall')}
+        <g className="trend-grid">
+          <line x1={left} x2={width - right} y1={barTop + barHeight} y2={barTop + barHeight} />
+          <text x={left - 4} y={barTop + 8} textAnchor="end">{maxAttempts}</text>
+        </g>
+        {days.map((day, index) => day.attempts > 0 && (
+          <rect key={day.day} className="trend-bar" x={x(index) - slot * 0.35} width={slot * 0.7} y={barTop + barHeight * (1 - day.attempts / maxAttempts)} height={barHeight * (day.attempts / maxAttempts)}>
+            <title>{`${day.day}: ${day.attempts} attempts`}</title>
+          </rect>
+        ))}
+        {labelDays.map((index) => (
+          <text key={index} className="trend-date" x={x(index)} y={height - 4} textAnchor="middle">{days[index].day.slice(5)}</text>
+        ))}
+      </svg>
+    );
+  };
+
+  const onToggleTrendLine = (pitchClass) => {
+    setTrendLines((prev) => (prev.includes(pitchClass) ? prev.filter((pc) => pc !== pitchClass) : PITCH_CLASSES.filter((pc) => pc === pitchClass || prev.includes(pc))));
+  };
+
+  const renderConfusion = ({ matrix, pairs }) => {
+    const max = Math.max(1, ...matrix.flatMap((row, t) => row.filter((_, g) => g !== t)));
+    const topPairs = pairs.slice(0, 8);
+    return (
+      <div className="confusion">
+        <table className="confusion-matrix">
+          <thead>
+            <tr>
+              <th className="corner" title="Target ↓ / Guess →">↓ / →</th>
+              {PITCH_CLASSES.map((pc) => <th key={pc}>{pcName(pc)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.map((row, target) => (
+              <tr key={PITCH_CLASSES[target]}>
+                <th>{pcName(PITCH_CLASSES[target])}</th>
+                {row.map((count, guess) => {
+                  const isDiagonal = target === guess;
+                  // Off-diagonal cells shade by how often the confusion happens
+                  const alpha = !count ? 0 : isDiagonal ? 0.12 : 0.15 + 0.6 * (count / max);
+                  const background = isDiagonal ? `rgba(255,255,255,${alpha})` : `rgba(205,75,47,${alpha})`;
+                  return (
+                    <td key={guess} className={isDiagonal ? 'diag' : ''} style={{ background }} title={`${pcName(PITCH_CLASSES[target])} heard as ${pcName(PITCH_CLASSES[guess])}: ${count}`}>
+                      {count || ''}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="confused-pairs">
+          <div className="label">Top confused pairs</div>
+          {topPairs.length ? (
+            <ol>
+              {topPairs.map((pair) => (
+                <li key={`${pair.target}-${pair.guess}`}>
+                  {pcName(pair.target)} heard as {pcName(pair.guess)}, {pair.count} {pair.count === 1 ? 'time' : 'times'}
+                  <span className="distance"> ({pair.semitones === 1 ? 'neighbouring semitone' : `${pair.semitones} semitones apart`})</span>
+                </li>
+              ))}
+            </ol>
+          ) : <div className="empty">No mistakes yet.</div>}
+        </div>
+      </div>
+    );
+  };
+
+  const stopListening = useCallback(() => {
+    const session = micRef.current;
+    micRef.current = null;
+    if (session) { cancelAnimationFrame(session.rafId); session.mic?.close(); }
+  }, []);
+
+  // Release the microphone on unmount
+  useEffect(() => stopListening, [stopListening]);
+
   const resetRound = () => {
+    engine.endRound();
+    setAudioStatus(null);
+    stopListening();
+    setSingState(null);
+    setSingResult(null);
     setPostGuess(false);
     setLastGuessLetter(null);
+    setLastGuessMidi(null);
+    setChordPicks([]);
+    setDetunePick(NO_DETUNE_PICK);
     setLastGuessCorrect(null);
     setNearestMap(null);
     setCurrentNote(null);
     try { playBtnRef.current?.focus({ preventScroll: true }); } catch {}
   };
 
+  // At least one note always stays selected
+  const updateSelected = (next) => {
+    if (!PITCH_CLASSES.some((pc) => next[pc])) return false;
+    setSelected(next); saveSelected(next); engine.configure({ selected: next });
+    return true;
+  };
+
   const onToggle = (pitchClass) => {
-    const onCount = selectedPitchClasses.length;
-    const currentlyOn = !!selected[pitchClass];
-    if (currentlyOn && onCount <= 1) return;
-    const next = { ...selected, [pitchClass]: !currentlyOn };
-    setSelected(next); saveSelected(next);
+    if (curriculum.enabled) return;
+    const next = { ...selected, [pitchClass]: !selected[pitchClass] };
     // End the current round without affecting stats
+    if (updateSelected(next)) resetRound();
+  };
+
+  const updateCurriculum = (next) => {
+    setCurriculum(next); saveCurriculum(next); engine.configure({ curriculum: next });
+  };
+
+  // The curriculum takes over the note toggles; turning it off keeps the unlocked notes selected
+  const onToggleCurriculum = () => {
+    const next = { ...curriculum, enabled: !curriculum.enabled, lastChange: null };
+    if (next.enabled && !next.since) next.since = Date.now();
+    updateCurriculum(next);
+    if (next.enabled && updateSelected(curriculumSelection(next.level))) resetRound();
+  };
+
+  // The engine unlocks and re-locks after each saved attempt, and clears the announcement when the next round starts.
+  // The round isn't reset: it has just been answered.
+  useEffect(() => engine.on('curriculumChanged', ({ curriculum: next, selected: nextSelected }) => {
+    setCurriculum(next); saveCurriculum(next);
+    setSelected(nextSelected); saveSelected(nextSelected);
+  }), [engine]);
+
+  // Stored history may be ahead of the saved curriculum
+  useEffect(() => {
+    if (historyReady) engine.advanceCurriculum();
+  }, [engine, historyReady]);
+
+  const onToggleAdaptive = () => {
+    const next = !adaptive;
+    setAdaptive(next); saveAdaptive(next); engine.configure({ adaptive: next });
+  };
+
+  const onChangeMode = (nextMode) => {
+    // The engine also ends any running session, which was scored in the old mode
+    setMode(nextMode); saveMode(nextMode); engine.configure({ mode: nextMode });
     resetRound();
   };
 
+  // The engine counts rounds and ends sessions; the view mirrors the running one
+  useEffect(() => engine.on('sessionChanged', setSession), [engine]);
+
+  const onStartSession = (preset) => {
+    engine.startSession(preset);
+    setSessionView(null);
+    resetRound();
+    onPlayNew();
+  };
+
+  // Log each finished session for later comparison, and show its summary. It's built from the attempts in memory,
+  // so it still shows when some of them couldn't be saved to the history
+  useEffect(() => engine.on('sessionEnded', ({ record, entries, saveFailed }) => {
+    const log = loadSessions();
+    saveSessions([...log, record]);
+    setSessionView({ record, summary: summarizeSession(entries), comparison: compareSessions(record, log), saveFailed });
+    openOverlay('session');
+  }), [engine]);
+
+  const onEndSession = () => engine.endSession();
+
+  // Past sessions can be reopened from the stats overlay; their attempts may be older than the in-memory window
+  const onViewSession = async (record) => {
+    let all;
+    try {
+      all = await loadAllHistory();
+    } catch {
+      setHistoryError('session');
+      return;
+    }
+    const summary = summarizeSession(all.filter((item) => item.sessionId === record.id));
+    setSessionView({ record, summary, comparison: compareSessions(record, loadSessions()) });
+    openOverlay('session');
+  };
+
+  useEffect(() => {
+    if (!session || !SESSION_PRESETS[session.preset].ms) return undefined;
+    const timer = setInterval(() => setSessionTick((tick) => tick + 1), 1000);
+    return () => clearInterval(timer);
+  }, [session]);
+
+  const onSung = (target, sungMidi, settleMs) => {
+    const outcome = submitAnswer({ sungMidi, settleMs });
+    if (!outcome) return;
+    const { result } = outcome;
+    setLastGuessLetter(result.pitchClass); setLastGuessCorrect(result.correct);
+    setSingResult(result); setSingState(null); setPostGuess(true);
+    // Play the target in the octave that was sung as a reference
+    const { octave } = pitchFromMidi(result.midi);
+    playMidi(target.instrument || pickRandom(loadInstrumentPool()), midiFromPitchClass(target.pitchClass, octave));
+  };
+
+  // Listen to the mic until a pitch is held steadily, then score it
+  const startListening = async (target) => {
+    stopListening();
+    const session = { mic: null, rafId: 0 };
+    micRef.current = session;
+    setSingState({ status: 'listening', live: null });
+    let mic;
+    try {
+      mic = await openMicrophone();
+    } catch (err) {
+      if (micRef.current !== session) return;
+      micRef.current = null;
+      setSingState({ status: 'error', error: err?.message || 'Microphone unavailable' });
+      return;
+    }
+    // Round ended while waiting for mic permission
+    if (micRef.current !== session) { mic.close(); return; }
+    session.mic = mic;
+    const buffer = new Float32Array(mic.analyser.fftSize);
+    const startTs = performance.now();
+    let anchorMidi = null, anchorTs = 0, samples = [];
+    let shown = null, shownTs = -Infinity; // live readout last rendered, so frames that don't change it skip the re-render
+    const tick = () => {
+      if (micRef.current !== session) return;
+      const t = performance.now();
+      if (t - startTs > SING_TIMEOUT_MS) {
+        stopListening();
+        setSingState({ status: 'timeout', live: null });
+        return;
+      }
+      mic.analyser.getFloatTimeDomainData(buffer);
+      const detected = detectPitch(buffer, mic.sampleRate);
+      if (!detected) {
+        anchorMidi = null; samples = [];
+      } else {
+        const sungMidi = midiFromFreq(detected.freq);
+        if (anchorMidi === null || Math.abs(sungMidi - anchorMidi) * 100 > SING_STABLE_CENTS) {
+          anchorMidi = sungMidi; anchorTs = t; samples = [sungMidi];
+        } else {
+          samples.push(sungMidi);
+        }
+        const nearest = Math.round(sungMidi), cents = Math.round((sungMidi - nearest) * 100);
+        if ((shown?.midi !== nearest || shown.cents !== cents) && t - shownTs >= SING_LIVE_UPDATE_MS) {
+          shown = { midi: nearest, cents }; shownTs = t;
+          setSingState({ status: 'listening', live: { ...pitchFromMidi(nearest), cents } });
+        }
+        if (t - anchorTs >= SING_SETTLE_MS) {
+          stopListening();
+          onSung(target, median(samples), Math.round(anchorTs - startTs));
+          return;
+        }
+      }
+      session.rafId = requestAnimationFrame(tick);
+    };
+    session.rafId = requestAnimationFrame(tick);
+  };
+
   const onPlayNew = async () => {
-    const prevPitchClass = currentNote?.pitchClass || (lastPlayedRef.current.length ? pitchFromMidi(lastPlayedRef.current[lastPlayedRef.current.length - 1]).pitchClass : null);
-    const targetNote = pickTarget(lastPlayedRef.current, prevPitchClass);
-    if (!targetNote) return;
-    setPostGuess(false); setLastGuessLetter(null); setLastGuessCorrect(null); setNearestMap(null);
-    const instrument = nextInstrumentRef.current || pickRandom(INSTRUMENTS);
-    setCurrentNote({ ...targetNote, instrument });
-    // record into rolling last-3
-    const nextLast = [...lastPlayedRef.current, targetNote.midi].slice(-3);
-    lastPlayedRef.current = nextLast;
+    const instrument = nextInstrumentRef.current || pickRandom(loadInstrumentPool());
+    const round = engine.startRound({ instrument, interference: interferenceKinds(interference) });
+    if (!round) return;
+    setPostGuess(false); setLastGuessLetter(null); setLastGuessMidi(null); setLastGuessCorrect(null); setNearestMap(null); setSingResult(null); setChordPicks([]); setDetunePick(NO_DETUNE_PICK);
+    setCurrentNote(round);
     // move focus to Play button to avoid lingering focus rings on guess buttons
     try { playBtnRef.current?.focus({ preventScroll: true }); } catch {}
     // Choose and start prefetching the instrument for the NEXT round right away
     selectAndPrefetchNextInstrument();
-    await playNoteName(instrument, `${targetNote.pitchClass}${targetNote.octave}`);
+    // Sing mode plays nothing up front; the note is only heard after answering
+    if (mode === 'sing') { startListening(round); return; }
+    if (round.interference && !(await playInterferenceGap(round.interference, round.id))) return;
+    await playRound(round);
+  };
+
+  // The interference sound, then the silence gap. False if the round was left meanwhile.
+  const playInterferenceGap = async (kind, roundId) => {
+    setAudioStatus('clearing');
+    try {
+      const ac = await ensureAudioCtx();
+      const seconds = playInterference(ac, kind);
+      await new Promise((resolve) => setTimeout(resolve, seconds * 1000 + interference.gapMs));
+    } catch {}
+    return engine.isCurrent(roundId);
+  };
+
+  const playTarget = async (note) => {
+    if (note.notes) {
+      const stagger = chordOptions.style === 'arpeggio' ? ARPEGGIO_STAGGER_S : 0;
+      return playMidis(note.instrument, note.notes.map((n) => n.midi), stagger);
+    }
+    return playMidi(note.instrument, note.midi, note.detune);
+  };
+
+  // A round only becomes answerable once its note has actually played
+  const playRound = async (note) => {
+    setAudioStatus('loading');
+    let result;
+    try {
+      result = await playTarget(note);
+    } catch {
+      if (engine.isCurrent(note.id)) setAudioStatus('error');
+      return;
+    }
+    const heard = engine.heard(note.id, { fallback: result.fallback });
+    if (!heard) return;
+    setAudioStatus(null);
+    setCurrentNote(heard);
   };
 
   const onReplay = async () => {
-    if (!currentNote) return;
-    const instrument = currentNote.instrument || pickRandom(INSTRUMENTS);
-    await playNoteName(instrument, `${currentNote.pitchClass}${currentNote.octave}`);
+    if (!currentNote || audioStatus === 'clearing') return;
+    if (mode === 'sing') {
+      // Re-arm the mic after a timeout or error; never give the answer away
+      if (!micRef.current) startListening(currentNote);
+      return;
+    }
+    const replayed = engine.replayed(currentNote.id);
+    if (replayed) setCurrentNote(replayed);
+    await playRound(replayed || currentNote);
   };
 
-  const recordGuess = (target, guessPitchClass) => {
-    const history = loadHistory(); const correct = guessPitchClass === target.pitchClass;
-    // Store both pitchClass and legacy 'letter' for backwards compatibility
-    history.push({ ts: Date.now(), midi: target.midi, pitchClass: target.pitchClass, letter: target.pitchClass, octave: target.octave, guess: guessPitchClass, correct });
-    saveHistory(history); return correct;
+  // The engine scores and saves the answer, and counts it toward any running session
+  const submitAnswer = (input) => {
+    const outcome = engine.answer(input);
+    if (!outcome) return null;
+    // Saving retries a failed load first, so a save that gets through also means history is loaded
+    outcome.saved
+      .then(() => { setHistoryReady(true); setHistoryError(null); })
+      .catch(() => setHistoryError('save'));
+    return outcome;
+  };
+
+  // Stats catch up once an answered round is saved
+  useEffect(() => engine.on('roundEnded', ({ answered }) => {
+    if (answered) setHistoryVersion((version) => version + 1);
+  }), [engine]);
+
+  // After a listen-mode answer, each button previews its pitch class nearest the target
+  const nearestPitchClassMap = (target) => {
+    const nearestByPitchClass = {};
+    selectedPitchClasses.forEach((pc)=>{ const nearest = nearestMidiForPitchClass(pc, target.midi, range); if (nearest) nearestByPitchClass[pc]=nearest; });
+    return nearestByPitchClass;
   };
 
   const onGuess = (pitchClass) => {
+    const outcome = submitAnswer({ pitchClass });
+    if (!outcome) return;
+    setLastGuessLetter(pitchClass); setLastGuessCorrect(outcome.correct);
+    setNearestMap(nearestPitchClassMap(currentNote)); setPostGuess(true);
+  };
+
+  // Listen mode: the first answer plays the guessed pitch and records it, later ones preview.
+  // The guess sounds at the MIDI key pressed, else in the octave nearest the target.
+  const onListenAnswer = (pitchClass, playedMidi = null) => {
     if (!currentNote) return;
-    const isCorrect = recordGuess(currentNote, pitchClass);
-    setLastGuessLetter(pitchClass); setLastGuessCorrect(isCorrect);
-    const currentPitchClasses = selectedPitchClasses;
-    const nearestByPitchClass = {};
-    currentPitchClasses.forEach((pc)=>{ const nearest = nearestMidiForPitchClass(pc, currentNote.midi); if (nearest) nearestByPitchClass[pc]=nearest; });
-    setNearestMap(nearestByPitchClass); setPostGuess(true);
+    const instrument = currentNote.instrument || pickRandom(loadInstrumentPool());
+    const preview = (midi) => {
+      engine.notePlayed(midi);
+      playMidi(instrument, midi);
+    };
+    if (!postGuess) {
+      if (!currentNote.heard) return;
+      const nearest = nearestMidiForPitchClass(pitchClass, currentNote.midi, range);
+      if (playedMidi !== null) preview(playedMidi); else if (nearest) preview(nearest.midi);
+      onGuess(pitchClass);
+    } else if (playedMidi !== null) preview(playedMidi);
+    else if (nearestMap?.[pitchClass]) preview(nearestMap[pitchClass].midi);
+  };
+
+  // Computer keys and MIDI notes answer like the on-screen buttons, for selected pitch classes only.
+  // Computer keys carry no octave, so exact mode takes MIDI only.
+  const onAnswerInput = (pitchClass, midi = null) => {
+    if (!currentNote || !selected[pitchClass]) return;
+    if (mode === 'chord') onChordPick(pitchClass);
+    else if (mode === 'detune') onDetunePick({ pitchClass });
+    else if (mode === 'exact') { if (midi !== null) onPianoKey(midi); }
+    else if (mode === 'listen') {
+      if (midi !== null && midiInput.octaveAware && !postGuess) {
+        // Scored like exact mode, so the attempt is stored as one
+        if (!currentNote.heard) return;
+        onPianoKey(midi);
+        setNearestMap(nearestPitchClassMap(currentNote));
+      } else {
+        onListenAnswer(pitchClass, midi);
+      }
+    }
+  };
+  midiNoteRef.current = (midi) => { if (!overlay) onAnswerInput(pitchFromMidi(midi).pitchClass, midi); };
+
+  const disconnectMidi = () => {
+    const access = midiAccessRef.current;
+    midiAccessRef.current = null;
+    if (access) {
+      access.onstatechange = null;
+      access.inputs.forEach((input) => { input.onmidimessage = null; });
+    }
+    setMidiStatus(null);
+  };
+
+  const connectMidi = async () => {
+    if (!isMidiSupported()) { setMidiStatus({ state: 'error', error: "This browser doesn't support Web MIDI." }); return; }
+    try {
+      const access = await navigator.requestMIDIAccess();
+      midiAccessRef.current = access;
+      // Re-attach whenever a device is plugged in or removed
+      const attach = () => {
+        if (midiAccessRef.current !== access) return;
+        const inputs = [...access.inputs.values()];
+        inputs.forEach((input) => {
+          input.onmidimessage = (event) => {
+            const midi = midiNoteOn(event.data);
+            if (midi !== null) midiNoteRef.current?.(midi);
+          };
+        });
+        setMidiStatus({ state: 'connected', inputs: inputs.map((input) => input.name) });
+      };
+      access.onstatechange = attach;
+      attach();
+    } catch (err) {
+      setMidiStatus({ state: 'error', error: err?.message || 'MIDI access was denied.' });
+    }
+  };
+
+  // Reconnect on load if MIDI input was turned on before
+  useEffect(() => {
+    if (loadMidiInput().enabled) connectMidi();
+    return disconnectMidi;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const updateMidiInput = (next) => {
+    setMidiInput(next); saveMidiInput(next);
+  };
+
+  const updateInterference = (next) => {
+    setInterference(next); saveInterference(next);
+  };
+
+  const onChangeNaming = (next) => {
+    setNaming(next); saveNaming(next);
+  };
+
+  const onToggleArticulation = (key) => {
+    const next = { ...articulation, [key]: !articulation[key] };
+    setArticulation(next); saveArticulation(next);
+  };
+
+  const onToggleMidiInput = () => {
+    const next = { ...midiInput, enabled: !midiInput.enabled };
+    updateMidiInput(next);
+    if (next.enabled) connectMidi(); else disconnectMidi();
+  };
+
+  // Chord mode: guess buttons toggle picks until Submit; afterwards they preview
+  const onChordPick = (pitchClass) => {
+    if (!currentNote) return;
+    if (postGuess) {
+      const nearest = nearestMidiForPitchClass(pitchClass, currentNote.midi, range);
+      if (nearest) playMidi(currentNote.instrument || pickRandom(loadInstrumentPool()), nearest.midi);
+      return;
+    }
+    if (!currentNote.heard) return;
+    if (chordPicks.includes(pitchClass)) setChordPicks(chordPicks.filter((pc) => pc !== pitchClass));
+    else if (chordPicks.length < currentNote.notes.length) setChordPicks([...chordPicks, pitchClass]);
+  };
+
+  const onChordSubmit = () => {
+    if (!currentNote?.notes || !currentNote.heard || postGuess || chordPicks.length !== currentNote.notes.length) return;
+    const outcome = submitAnswer({ picks: chordPicks });
+    if (!outcome) return;
+    setLastGuessCorrect(outcome.correct);
+    setPostGuess(true);
+    try { playBtnRef.current?.focus({ preventScroll: true }); } catch {}
+  };
+
+  // Detuned-notes mode: the round is answered once both a pitch class and an intonation are picked.
+  // Afterwards pitch-class buttons preview the in-tune note.
+  const onDetunePick = (pick) => {
+    if (!currentNote) return;
+    if (postGuess) {
+      const nearest = pick.pitchClass && nearestMidiForPitchClass(pick.pitchClass, currentNote.midi, range);
+      if (nearest) playMidi(currentNote.instrument || pickRandom(loadInstrumentPool()), nearest.midi);
+      return;
+    }
+    if (!currentNote.heard) return;
+    const next = { ...detunePick, ...pick };
+    setDetunePick(next);
+    if (!next.pitchClass || !next.intonation) return;
+    const outcome = submitAnswer(next);
+    if (!outcome) return;
+    // Judging the direction steps this pitch class's staircase
+    updateDetune(engine.settings.detune);
+    setLastGuessLetter(next.pitchClass); setLastGuessCorrect(outcome.correct);
+    setPostGuess(true);
+    try { playBtnRef.current?.focus({ preventScroll: true }); } catch {}
+  };
+
+  const updateDetune = (next) => {
+    if (next === detune) return;
+    setDetune(next); saveDetune(next); engine.configure({ detune: next });
+  };
+
+  // Choosing an offset also restarts every staircase from it
+  const onChangeDetune = (next) => {
+    updateDetune(next);
+    if (mode === 'detune') resetRound();
+  };
+
+  const onChangeChordOptions = (next) => {
+    setChordOptions(next); saveChordOptions(next); engine.configure({ chordOptions: next });
+    resetRound();
+  };
+
+  // Exact mode: first press answers, later presses preview that exact key
+  const onPianoKey = (midi) => {
+    if (!currentNote) return;
+    const instrument = currentNote.instrument || pickRandom(loadInstrumentPool());
+    engine.notePlayed(midi);
+    playMidi(instrument, midi);
+    if (postGuess) return;
+    const outcome = submitAnswer({ midi });
+    if (!outcome) return;
+    setLastGuessMidi(midi); setLastGuessLetter(pitchFromMidi(midi).pitchClass); setLastGuessCorrect(outcome.correct);
+    setPostGuess(true);
   };
 
   useEffect(() => {
     const onKey = (event) => {
       const isEscape = event.code === 'Escape' || event.key === 'Escape';
-      if (isEscape && showStats) { event.preventDefault(); closeStats(); return; }
+      if (isEscape && overlay) { event.preventDefault(); closeOverlay(); return; }
+
+      const isEnter = event.key === 'Enter';
+      if (isEnter && mode === 'chord' && !overlay && currentNote && !postGuess) { event.preventDefault(); onChordSubmit(); return; }
+
+      const answerPitchClass = ANSWER_KEYS[event.code];
+      const intonation = mode === 'detune' ? INTONATION_KEYS[event.code] : null;
+      const typing = ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target?.tagName);
+      if ((answerPitchClass || intonation) && !overlay && !typing && !event.repeat && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        event.preventDefault();
+        if (answerPitchClass) onAnswerInput(answerPitchClass); else onDetunePick({ intonation });
+        return;
+      }
 
       const isSpace = event.code === 'Space' || event.key === ' ' || event.key === 'Spacebar';
       if (!isSpace) return;
-      if (showStats) return;
+      if (overlay) return;
       event.preventDefault();
       // On keyboard interaction, also move focus to Play
       try { playBtnRef.current?.focus({ preventScroll: true }); } catch {}
@@ -342,47 +1200,226 @@ export default function App() {
     };
     window.addEventListener('keydown', onKey);
     return () => window.removeEventListener('keydown', onKey);
-  }, [postGuess, currentNote, showStats]);
+  }, [postGuess, currentNote, overlay, mode, range, chordPicks, detunePick, detune, chordOptions, session, selected, nearestMap]);
 
-  // Back button should close stats if open
+  // Back button should close an open overlay
   useEffect(() => {
     const onPop = () => {
-      if (showStats) {
-        setShowStats(false);
-        statsStateActive.current = false;
+      if (overlay) {
+        setOverlay(null);
+        overlayStateActive.current = false;
       }
     };
     window.addEventListener('popstate', onPop);
     return () => window.removeEventListener('popstate', onPop);
-  }, [showStats]);
+  }, [overlay]);
 
-  const openStats = () => {
-    if (!statsStateActive.current) {
-      try { window.history.pushState({ statsOpen: true }, ''); } catch {}
-      statsStateActive.current = true;
+  const openOverlay = (name) => {
+    if (!overlayStateActive.current) {
+      try { window.history.pushState({ overlayOpen: name }, ''); } catch {}
+      overlayStateActive.current = true;
     }
-    setShowStats(true);
+    setOverlay(name);
   };
 
-  const closeStats = () => {
-    setShowStats(false);
-    if (statsStateActive.current) {
-      statsStateActive.current = false;
+  const closeOverlay = () => {
+    setOverlay(null);
+    if (overlayStateActive.current) {
+      overlayStateActive.current = false;
       try { window.history.back(); } catch {}
     }
   };
 
-  const now = Date.now();
-  const dayStart = useMemo(() => { const day = new Date(); day.setHours(0,0,0,0); return day; }, []);
-  const weekAgo = now - 7 * 24 * 60 * 60 * 1000;
-  const statsAll = summarizeBy();
-  const stats7 = summarizeBy((item)=> item.ts >= weekAgo);
-  const statsToday = summarizeBy((item)=> isSameDay(item.ts, dayStart.getTime()));
+  const openSettings = () => {
+    setImportMessage(null);
+    // Pick up anything changed in Sound Lab since the last look
+    setInstrumentSelection(loadInstrumentSelection());
+    refreshOfflineStatus();
+    openOverlay('settings');
+  };
+
+  const onDownloadOffline = async () => {
+    const pool = loadSoundfontPool();
+    saveOffline(true);
+    setOffline((prev) => ({ ...prev, enabled: true, error: null, progress: { done: 0, total: pool.length + 1 } }));
+    try {
+      await cacheAppShell(BUILD_ID);
+      const urls = await Promise.all(pool.map(soundfontUrl));
+      await cacheSoundfonts(urls, (done) => setOffline((prev) => ({ ...prev, progress: { done: done + 1, total: pool.length + 1 } })));
+    } catch (err) {
+      setOffline((prev) => ({ ...prev, error: err?.message || 'Download failed' }));
+    }
+    setOffline((prev) => ({ ...prev, progress: null }));
+    refreshOfflineStatus();
+  };
+
+  const onRemoveOffline = async () => {
+    saveOffline(false);
+    try { await removeAppShell(); } catch {}
+    setOffline((prev) => ({ ...prev, enabled: false, error: null }));
+    refreshOfflineStatus();
+  };
+
+  const downloadFile = (content, type, fileName) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url; link.download = fileName;
+    document.body.appendChild(link); link.click(); link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const onSelectProfile = (id) => {
+    if (id === MANAGE_PROFILES) { openSettings(); return; }
+    onChangeProfiles({ ...profiles, active: id });
+  };
+
+  // New profiles start from the defaults, and are switched to straight away
+  const onAddProfile = (event) => {
+    event.preventDefault();
+    const name = profileName.trim();
+    if (!name) return;
+    const profile = newProfile(name);
+    setProfileName('');
+    onChangeProfiles({ active: profile.id, list: [...profiles.list, profile] });
+  };
+
+  // The profile's settings and full history, in the history export format so it can be imported elsewhere
+  const onExportProfile = async (profile) => {
+    let history;
+    try {
+      history = await loadProfileHistory(profile.id);
+    } catch (err) {
+      setProfileError(`Couldn't export ${profile.name}: ${err?.message || err}`);
+      return;
+    }
+    setProfileError(null);
+    const stamp = new Date().toISOString().slice(0, 10);
+    const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    const extra = { profile: { name: profile.name, settings: profileSettings(profile.id, PROFILE_LS_KEYS) } };
+    downloadFile(historyToJson(history, extra), 'application/json', `pitchteacher-${slug}-${stamp}.json`);
+  };
+
+  // Asks for a second click; the profile in use can't be deleted
+  const onDeleteProfile = async (profile) => {
+    if (profile.id === profiles.active) return;
+    if (pendingDelete !== profile.id) { setPendingDelete(profile.id); return; }
+    setPendingDelete(null);
+    try {
+      await deleteProfileHistory(profile.id);
+    } catch (err) {
+      setProfileError(`Couldn't delete ${profile.name}: ${err?.message || err}`);
+      return;
+    }
+    setProfileError(null);
+    removeProfileSettings(profile.id, PROFILE_LS_KEYS);
+    onChangeProfiles({ ...profiles, list: profiles.list.filter((item) => item.id !== profile.id) });
+  };
+
+  const onExportHistory = async (format) => {
+    let history;
+    try {
+      history = await loadAllHistory();
+    } catch (err) {
+      setImportMessage({ ok: false, text: `Export failed: ${err?.message || err}` });
+      return;
+    }
+    setImportMessage(null);
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') downloadFile(historyToCsv(history), 'text/csv', `pitchteacher-history-${stamp}.csv`);
+    else downloadFile(historyToJson(history), 'application/json', `pitchteacher-history-${stamp}.json`);
+  };
+
+  const onImportHistory = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // allow picking the same file again
+    if (!file) return;
+    try {
+      const { entries, invalid } = parseHistoryFile(await file.text(), file.name);
+      const { added, skipped } = await importHistory(entries);
+      const notes = [`${skipped} already present`];
+      if (invalid) notes.push(`${invalid} unreadable`);
+      setImportMessage({ ok: true, text: `Imported ${added} attempts (${notes.join(', ')}).` });
+    } catch (err) {
+      setImportMessage({ ok: false, text: `Import failed: ${err?.message || err}` });
+    }
+  };
+
+  const isInstrumentOffline = (name) => isGeneratedSource(name) || (!!offline.instrumentUrls && offline.urls.has(offline.instrumentUrls[name]));
+
+  const onChangeRange = (nextRange) => {
+    const next = clampRange(nextRange);
+    // The engine also forgets the notes just played, which may now be out of range
+    setRange(next); saveRange(next); engine.configure({ range: next });
+    // End the current round without affecting stats
+    resetRound();
+  };
+
+  const updateInstrumentSelection = (next) => {
+    setInstrumentSelection(next); saveInstrumentSelection(next);
+    selectAndPrefetchNextInstrument();
+  };
+
+  const onToggleInstrument = (name) => {
+    const next = instrumentSelection.includes(name)
+      ? instrumentSelection.filter((n) => n !== name)
+      : [...instrumentSelection, name];
+    updateInstrumentSelection(next);
+  };
+
+  // Applies from the next prefetched round
+  const onToggleWorstTimbres = () => {
+    const next = !worstTimbres;
+    setWorstTimbres(next); saveWorstTimbres(next);
+    selectAndPrefetchNextInstrument();
+  };
+
+  // All in the family selected: remove them; otherwise add the missing ones
+  const onToggleFamily = (family) => {
+    const members = SOURCE_FAMILIES[family];
+    const allOn = members.every((name) => instrumentSelection.includes(name));
+    const next = allOn
+      ? instrumentSelection.filter((name) => !members.includes(name))
+      : [...instrumentSelection, ...members.filter((name) => !instrumentSelection.includes(name))];
+    updateInstrumentSelection(next);
+  };
+
+  const showStats = overlay === 'stats';
+  const aggregates = historyAggregates();
+  const curriculumStatus = curriculum.enabled ? evaluateCurriculum(recentHistory(), curriculum) : null;
+  const showSettings = overlay === 'settings';
+  const showSession = overlay === 'session';
+  const sessionLog = showStats ? loadSessions().slice(-10).reverse() : [];
+  const todayKey = dayKey(Date.now());
+  const weekStartKey = dayKey(Date.now() - 6 * 24 * 60 * 60 * 1000);
+  const rangeFilters = {
+    today: { label: 'Today', filter: (day)=> day === todayKey },
+    week: { label: 'Last 7 Days', filter: (day)=> day >= weekStartKey },
+    all: { label: 'All Time', filter: null },
+  };
+  // Summaries copy every stored timing, so they're only worked out while the stats are open
+  const statsAll = showStats ? summarizeBy(aggregates, rangeFilters.all.filter) : null;
+  const stats7 = showStats ? summarizeBy(aggregates, rangeFilters.week.filter) : null;
+  const statsToday = showStats ? summarizeBy(aggregates, rangeFilters.today.filter) : null;
+  const confusion = showStats ? confusionBy(aggregates, rangeFilters[confusionRange].filter) : null;
+  const singing = showStats ? summarizeSinging(aggregates, rangeFilters[singRange].filter) : null;
+  const hasSinging = showStats && hasModeHistory(aggregates, 'sing');
+  const exact = showStats ? summarizeExact(aggregates, rangeFilters[exactRange].filter) : null;
+  const hasExact = showStats && hasModeHistory(aggregates, 'exact');
+  const detuned = showStats ? summarizeDetune(aggregates, rangeFilters[detuneRange].filter, detune) : null;
+  const hasDetune = showStats && hasModeHistory(aggregates, 'detune');
+  const chords = showStats ? summarizeChords(aggregates, rangeFilters[chordRange].filter) : null;
+  const speed = showStats ? summarizeSpeed(aggregates, rangeFilters[speedRange].filter) : null;
+  const byInstrument = showStats ? summarizeInstruments(aggregates, rangeFilters[instrumentRange].filter, sourceLabel) : null;
+  const byOctave = showStats ? summarizeOctaves(aggregates, rangeFilters[octaveRange].filter, naming) : null;
+  const byInterference = showStats ? summarizeInterference(aggregates, rangeFilters[interferenceRange].filter) : null;
+  const hasInterference = showStats && hasInterferenceHistory(aggregates);
+  const trends = showStats ? summarizeTrends(aggregates, trendDays) : null;
+  const streaks = showStats ? practiceStreaks(aggregates) : null;
+  const hasChords = showStats && hasModeHistory(aggregates, 'chord');
 
   // Build date injected at build time (UTC ISO string via Vite define)
   const buildDateStr = useMemo(() => {
-    const iso = (typeof __BUILD_TIME__ !== 'undefined') ? __BUILD_TIME__ : new Date().toISOString();
-    const d = new Date(iso);
+    const d = new Date(BUILD_ID);
     const pad = (n) => String(n).padStart(2, '0');
     const yyyy = d.getFullYear();
     const mm = pad(d.getMonth() + 1);
@@ -392,30 +1429,196 @@ export default function App() {
     return `${yyyy}-${mm}-${dd} ${hh}:${mi}`;
   }, []);
 
+  const rangeOptions = [];
+  for (let midi = RANGE_LIMITS.min; midi <= RANGE_LIMITS.max; midi++) rangeOptions.push(midi);
+
+  const renderKeyHint = (pitchClass) => <kbd className="key-hint" aria-hidden="true">{ANSWER_KEY_HINTS[pitchClass]}</kbd>;
+
+  const instrumentLabel = (note) => {
+    if (note.fallback) return ' (synth voice)';
+    return note.instrument ? ` (${sourceLabel(note.instrument)})` : '';
+  };
+
+  const noun = mode === 'chord' ? 'notes' : 'note';
+  let primaryLabel = currentNote && !postGuess ? `Replay ${noun}` : `Play ${noun}`;
+  if (mode === 'sing') {
+    if (!currentNote || postGuess) primaryLabel = currentNote ? 'Next note' : 'New note';
+    else primaryLabel = singState?.status === 'listening' ? 'Listening…' : 'Listen again';
+  }
+  if (audioStatus === 'loading') primaryLabel = 'Loading…';
+  if (audioStatus === 'clearing') primaryLabel = 'Clearing…';
+  if (audioStatus === 'error') primaryLabel = "Couldn't play. Retry";
+
   return (
     <>
       <header className="topbar">
         <div className="note-toggle">
           {PITCH_CLASSES.map((pitchClass) => (
-            <button key={pitchClass} className={"toggle" + (selected[pitchClass] ? " active" : "")} aria-pressed={selected[pitchClass] ? 'true' : 'false'} onClick={() => onToggle(pitchClass)}>{pitchClass}</button>
+            <button key={pitchClass} className={"toggle" + (selected[pitchClass] ? " active" : "")} aria-pressed={selected[pitchClass] ? 'true' : 'false'} disabled={curriculum.enabled} title={curriculum.enabled ? 'Chosen by the curriculum' : undefined} onClick={() => onToggle(pitchClass)}>{pcName(pitchClass)}</button>
           ))}
         </div>
-        <div className="toolbar"></div>
+        <div className="toolbar">
+          <select className="mode-select" aria-label="Profile" value={profiles.active} onChange={(event) => onSelectProfile(event.target.value)}>
+            {profiles.list.map((profile) => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+            <option value={MANAGE_PROFILES}>Manage profiles…</option>
+          </select>
+          <select className="mode-select" aria-label="Practice mode" value={mode} onChange={(event) => onChangeMode(event.target.value)}>
+            {Object.entries(MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <button
+            className={"mode-toggle" + (adaptive ? " active" : "")}
+            aria-pressed={adaptive ? 'true' : 'false'}
+            title="Play weak and confused notes more often"
+            onClick={onToggleAdaptive}
+          >
+            Adaptive
+          </button>
+          <button
+            className={"mode-toggle" + (curriculum.enabled ? " active" : "")}
+            aria-pressed={curriculum.enabled ? 'true' : 'false'}
+            title="Start with a few notes and unlock more as you master them"
+            onClick={onToggleCurriculum}
+          >
+            Curriculum
+          </button>
+          <button onClick={openSettings} aria-label="Settings">Settings</button>
+        </div>
       </header>
 
       <main>
+        {curriculumStatus && (
+          <div className="curriculum-bar" aria-live="polite">
+            <div className="curriculum-summary">
+              <strong>Level {curriculum.level - CURRICULUM_START + 1}</strong>
+              <span>{curriculumStatus.next ? `Next: ${pcName(curriculumStatus.next)}` : 'All notes unlocked'}</span>
+              {curriculumStatus.next && <progress value={curriculumStatus.progress} max="1" aria-label="Progress to the next note" />}
+            </div>
+            <div className="curriculum-notes">
+              {curriculumStatus.unlocked.map((pc) => {
+                const stat = curriculumStatus.stats[pc];
+                const state = curriculumStatus.struggling.includes(pc) ? 'struggling' : curriculumStatus.ready.includes(pc) ? 'ready' : '';
+                return (
+                  <span key={pc} className={state} title={`${stat.total}/${CURRICULUM_MIN_ATTEMPTS} attempts, ${pctOf(stat.correct, stat.total)}% correct`}>{pcName(pc)}</span>
+                );
+              })}
+            </div>
+            {curriculum.lastChange && (
+              <div className="curriculum-change">
+                {curriculum.lastChange.type === 'unlock'
+                  ? `Unlocked ${pcName(curriculum.lastChange.pitchClass)}!`
+                  : `${pcName(curriculum.lastChange.pitchClass)} is locked again for now; keep practising the others.`}
+              </div>
+            )}
+          </div>
+        )}
+        <div className="session-bar">
+          {session ? (
+            <>
+              <span>
+                {SESSION_PRESETS[session.preset].rounds
+                  ? `Session: ${session.rounds}/${SESSION_PRESETS[session.preset].rounds}`
+                  : `Session: ${formatDuration(SESSION_PRESETS[session.preset].ms - (Date.now() - session.startedAt))} left`}
+              </span>
+              <button onClick={onEndSession}>End session</button>
+            </>
+          ) : (
+            <div className="range-filter" role="group" aria-label="Start a session">
+              <span>Session:</span>
+              {Object.entries(SESSION_PRESETS).map(([key, preset]) => (
+                <button key={key} onClick={() => onStartSession(key)}>{preset.label}</button>
+              ))}
+            </div>
+          )}
+        </div>
         <section className="quiz">
           <div className="quiz-controls">
             <button
               ref={playBtnRef}
-              className="primary"
+              className={"primary" + (audioStatus ? ` ${audioStatus}` : '')}
+              aria-busy={audioStatus === 'loading' || audioStatus === 'clearing' ? 'true' : 'false'}
               onClick={() => { if (currentNote && !postGuess) onReplay(); else onPlayNew(); }}
             >
-              {currentNote && !postGuess ? 'Replay note' : 'Play note'}
+              {primaryLabel}
             </button>
           </div>
-          {currentNote && <h2 id="prompt">What note was that?</h2>}
-          {(currentNote || postGuess) && (
+          {currentNote?.fallback && !postGuess ? (
+            <div className="audio-notice">Couldn't load {sourceLabel(currentNote.instrument)}; playing a synth voice instead.</div>
+          ) : historyError && <div className="audio-notice">{HISTORY_ERRORS[historyError]}</div>}
+          {/* No question until the interference sound and its gap are over */}
+          {currentNote && mode !== 'sing' && audioStatus !== 'clearing' && <h2 id="prompt">{currentNote.notes ? `Which ${currentNote.notes.length} notes were those?` : mode === 'detune' ? 'What note was that, and was it in tune?' : 'What note was that?'}</h2>}
+          {currentNote && mode === 'sing' && (
+            <>
+              <h2 id="prompt">Sing {pcName(currentNote.pitchClass)}</h2>
+              {!postGuess && (
+                <div className="sing-live" aria-live="polite">
+                  {singState?.status === 'error' && `Microphone unavailable: ${singState.error}`}
+                  {singState?.status === 'timeout' && 'No steady pitch heard.'}
+                  {singState?.status === 'listening' && (singState.live
+                    ? <><span className="sing-live-note">{noteName(singState.live.pitchClass, singState.live.octave, naming)}</span> {formatCents(singState.live.cents)}</>
+                    : 'Listening…')}
+                </div>
+              )}
+            </>
+          )}
+          {mode === 'exact' && currentNote && renderPiano()}
+          {mode === 'chord' && currentNote?.notes && (
+            <>
+              <div className={"guess-buttons" + (selectedPitchClasses.length > 8 ? " compact" : "")}>
+                {selectedPitchClasses.map((pitchClass) => {
+                  const inChord = currentNote.notes.some((note) => note.pitchClass === pitchClass);
+                  const picked = chordPicks.includes(pitchClass);
+                  const cls = ['btn-note'];
+                  if (!postGuess && picked) cls.push('picked');
+                  if (postGuess) {
+                    if (picked) cls.push(inChord ? 'guessed-correct' : 'guessed-incorrect');
+                    else if (inChord) cls.push('correct-indicator');
+                  }
+                  return <button key={pitchClass} className={cls.join(' ')} aria-pressed={picked ? 'true' : 'false'} aria-keyshortcuts={ANSWER_KEY_HINTS[pitchClass]} disabled={!postGuess && !currentNote.heard} onClick={() => onChordPick(pitchClass)}>{pcName(pitchClass)}{renderKeyHint(pitchClass)}</button>;
+                })}
+              </div>
+              {!postGuess && (
+                <div className="chord-submit">
+                  <button className="primary" disabled={chordPicks.length !== currentNote.notes.length} onClick={onChordSubmit}>
+                    Submit {chordPicks.length}/{currentNote.notes.length}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+          {mode === 'detune' && currentNote && (
+            <>
+              <div className={"guess-buttons" + (selectedPitchClasses.length > 8 ? " compact" : "")}>
+                {selectedPitchClasses.map((pitchClass) => {
+                  const picked = detunePick.pitchClass === pitchClass;
+                  const cls = ['btn-note'];
+                  if (!postGuess && picked) cls.push('picked');
+                  if (postGuess) {
+                    if (picked) cls.push(pitchClass === currentNote.pitchClass ? 'guessed-correct' : 'guessed-incorrect');
+                    else if (pitchClass === currentNote.pitchClass) cls.push('correct-indicator');
+                  }
+                  return <button key={pitchClass} className={cls.join(' ')} aria-pressed={picked ? 'true' : 'false'} aria-keyshortcuts={ANSWER_KEY_HINTS[pitchClass]} disabled={!postGuess && !currentNote.heard} onClick={() => onDetunePick({ pitchClass })}>{pcName(pitchClass)}{renderKeyHint(pitchClass)}</button>;
+                })}
+              </div>
+              <div className="guess-buttons intonation-buttons">
+                {Object.entries(INTONATIONS).map(([id, label]) => {
+                  const picked = detunePick.intonation === id;
+                  const actual = intonationOf(currentNote.detune);
+                  const cls = ['btn-note'];
+                  if (!postGuess && picked) cls.push('picked');
+                  if (postGuess) {
+                    if (picked) cls.push(id === actual ? 'guessed-correct' : 'guessed-incorrect');
+                    else if (id === actual) cls.push('correct-indicator');
+                  }
+                  return (
+                    <button key={id} className={cls.join(' ')} aria-pressed={picked ? 'true' : 'false'} aria-keyshortcuts={INTONATION_KEY_HINTS[id]} disabled={postGuess || !currentNote.heard} onClick={() => onDetunePick({ intonation: id })}>
+                      {label}<kbd className="key-hint" aria-hidden="true">{INTONATION_KEY_HINTS[id]}</kbd>
+                    </button>
+                  );
+                })}
+              </div>
+            </>
+          )}
+          {mode === 'listen' && (currentNote || postGuess) && (
           <div className={"guess-buttons" + (selectedPitchClasses.length > 8 ? " compact" : "")}>
             {selectedPitchClasses.map((pitchClass) => {
               const isCorrectLetter = currentNote && pitchClass === currentNote.pitchClass;
@@ -428,36 +1631,42 @@ export default function App() {
                   if (isCorrectLetter) cls.push('correct-indicator');
                 }
               }
-              const disabled = !currentNote && !postGuess;
-              const onClick = () => {
-                if (!postGuess) {
-                  // First guess: play the guessed pitch (nearest octave to target) and record the guess
-                  if (currentNote) {
-                    const nearest = nearestMidiForPitchClass(pitchClass, currentNote.midi);
-                    if (nearest) {
-                      const instrument = currentNote.instrument || pickRandom(INSTRUMENTS);
-                      lastPlayedRef.current = [...lastPlayedRef.current, nearest.midi].slice(-3);
-                      playNoteName(instrument, `${nearest.pitchClass}${nearest.octave}`);
-                    }
-                  }
-                  onGuess(pitchClass);
-                } else if (nearestMap?.[pitchClass]) {
-                  const previewMidi = nearestMap[pitchClass].midi;
-                  // add previewed note to recent list
-                  lastPlayedRef.current = [...lastPlayedRef.current, previewMidi].slice(-3);
-                  const { pitchClass: pc2, octave } = pitchFromMidi(previewMidi);
-                  const instrument = currentNote?.instrument || pickRandom(INSTRUMENTS);
-                  playNoteName(instrument, `${pc2}${octave}`);
-                }
-              };
-              return <button key={pitchClass} className={cls.join(' ')} onClick={onClick} disabled={disabled}>{pitchClass}</button>;
+              const disabled = !postGuess && !currentNote?.heard;
+              return <button key={pitchClass} className={cls.join(' ')} aria-keyshortcuts={ANSWER_KEY_HINTS[pitchClass]} onClick={() => onListenAnswer(pitchClass)} disabled={disabled}>{pcName(pitchClass)}{renderKeyHint(pitchClass)}</button>;
             })}
           </div>
           )}
           <div id="feedback" className={"feedback" + (postGuess ? (lastGuessCorrect ? ' success' : ' error') : '')}>
-            {postGuess && currentNote ? (() => {
-              const note = `${currentNote.pitchClass}${currentNote.octave}`;
-              const instr = currentNote.instrument ? ` (${currentNote.instrument.replace(/_/g, ' ')})` : '';
+            {postGuess && currentNote?.notes ? (() => {
+              const chord = currentNote.notes.map((note) => midiName(note.midi)).join(' ');
+              const instr = instrumentLabel(currentNote);
+              const correctCount = currentNote.notes.filter((note) => chordPicks.includes(note.pitchClass)).length;
+              return `${lastGuessCorrect ? 'Correct! ' : ''}${correctCount}/${currentNote.notes.length} notes right. It was ${chord}${instr}.`;
+            })() : postGuess && currentNote && singResult ? (() => {
+              const sung = noteName(singResult.pitchClass, singResult.octave, naming);
+              const settle = `settled in ${(singResult.settleMs / 1000).toFixed(1)} s`;
+              return singResult.correct
+                ? `Correct! You sang ${sung}, ${formatCents(singResult.cents)}, ${settle}.`
+                : `Incorrect. You sang ${sung}, not ${pcName(currentNote.pitchClass)} (${settle}).`;
+            })() : postGuess && currentNote && typeof currentNote.detune === 'number' ? (() => {
+              const actual = `It was ${midiName(currentNote.midi)}, ${formatCents(currentNote.detune)}${instrumentLabel(currentNote)}.`;
+              const pitchClassRight = detunePick.pitchClass === currentNote.pitchClass;
+              const intonationRight = detunePick.intonation === intonationOf(currentNote.detune);
+              if (pitchClassRight && intonationRight) return `Correct! ${actual}`;
+              if (pitchClassRight) return `Right note, wrong intonation. ${actual}`;
+              if (intonationRight) return `Right intonation, wrong note. ${actual}`;
+              return `Incorrect. ${actual}`;
+            })() : postGuess && currentNote && lastGuessMidi !== null ? (() => {
+              const note = midiName(currentNote.midi);
+              const picked = midiName(lastGuessMidi);
+              const instr = instrumentLabel(currentNote);
+              if (lastGuessCorrect) return `Correct! It was ${note}${instr}.`;
+              return lastGuessLetter === currentNote.pitchClass
+                ? `Right note, wrong octave. You picked ${picked}, it was ${note}${instr}.`
+                : `Incorrect. You picked ${picked}, it was ${note}${instr}.`;
+            })() : postGuess && currentNote ? (() => {
+              const note = midiName(currentNote.midi);
+              const instr = instrumentLabel(currentNote);
               return lastGuessCorrect
                 ? `Correct! It was ${note}${instr}.`
                 : `Incorrect. It was ${note}${instr}.`;
@@ -466,16 +1675,139 @@ export default function App() {
         </section>
       </main>
 
-      <div className={"overlay" + (showStats ? '' : ' hidden')} aria-hidden={!showStats} onClick={(event)=>{ if(event.target===event.currentTarget) closeStats(); }}>
+      <div className={"overlay" + (showStats ? '' : ' hidden')} aria-hidden={!showStats} onClick={(event)=>{ if(event.target===event.currentTarget) closeOverlay(); }}>
         <div className="overlay-content">
           <div className="overlay-header">
             <h3>Your Stats</h3>
-            <button aria-label="Close" onClick={closeStats}>✕</button>
+            <button aria-label="Close" onClick={closeOverlay}>✕</button>
           </div>
+          {historyError ? <div className="settings-error">{HISTORY_ERRORS[historyError]}</div> : !historyReady && <div className="settings-hint">Loading history…</div>}
           <div className="stats-grid">
-            <div className="stat"><div className="label">Today</div><div className="value">{renderStatBlock(statsToday)}</div></div>
-            <div className="stat"><div className="label">Last 7 Days</div><div className="value">{renderStatBlock(stats7)}</div></div>
-            <div className="stat"><div className="label">All Time</div><div className="value">{renderStatBlock(statsAll)}</div></div>
+            {showStats && (
+              <>
+                <div className="stat"><div className="label">Today</div><div className="value">{renderStatBlock(statsToday)}</div></div>
+                <div className="stat"><div className="label">Last 7 Days</div><div className="value">{renderStatBlock(stats7)}</div></div>
+                <div className="stat"><div className="label">All Time</div><div className="value">{renderStatBlock(statsAll)}</div></div>
+              </>
+            )}
+            {confusion && (
+              <div className="stat wide-stat">
+                <div className="stat-section-header">
+                  <div className="label">Confusion (target vs guess)</div>
+                  {renderRangeFilter(confusionRange, setConfusionRange, 'Confusion range')}
+                </div>
+                <div className="value">{renderConfusion(confusion)}</div>
+              </div>
+            )}
+            {trends && (
+              <div className="stat wide-stat">
+                <div className="stat-section-header">
+                  <div className="label">Progress</div>
+                  <div className="range-filter" role="group" aria-label="Progress window">
+                    {TREND_WINDOWS.map((count) => (
+                      <button key={count} className={trendDays === count ? 'active' : ''} aria-pressed={trendDays === count ? 'true' : 'false'} onClick={() => setTrendDays(count)}>{count} days</button>
+                    ))}
+                  </div>
+                </div>
+                <div className="trend-streak">
+                  Streak: <strong>{streaks.current} {streaks.current === 1 ? 'day' : 'days'}</strong> · Best: {streaks.best}
+                </div>
+                {trends.some((day) => day.attempts) ? renderTrends(trends) : <div className="settings-hint">No practice in this window yet.</div>}
+                <div className="range-filter trend-lines" role="group" aria-label="Pitch classes to chart">
+                  {PITCH_CLASSES.map((pc) => (
+                    <button key={pc} className={trendLines.includes(pc) ? 'active' : ''} aria-pressed={trendLines.includes(pc) ? 'true' : 'false'} onClick={() => onToggleTrendLine(pc)}>
+                      <span className="trend-swatch" style={{ background: pitchClassColor(pc) }} />{pcName(pc)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            {byInstrument && (
+              <div className="stat">
+                <div className="stat-section-header">
+                  <div className="label">By instrument (worst first)</div>
+                  {renderRangeFilter(instrumentRange, setInstrumentRange, 'Instrument range')}
+                </div>
+                <div className="value">{renderStatBlock(byInstrument)}</div>
+              </div>
+            )}
+            {byOctave && (
+              <div className="stat">
+                <div className="stat-section-header">
+                  <div className="label">By octave</div>
+                  {renderRangeFilter(octaveRange, setOctaveRange, 'Octave range')}
+                </div>
+                <div className="value">{renderStatBlock(byOctave)}</div>
+              </div>
+            )}
+            {hasInterference && (
+              <div className="stat">
+                <div className="stat-section-header">
+                  <div className="label">Interference</div>
+                  {renderRangeFilter(interferenceRange, setInterferenceRange, 'Interference range')}
+                </div>
+                <div className="value">{renderStatBlock(byInterference)}</div>
+              </div>
+            )}
+            {sessionLog.length > 0 && (
+              <div className="stat wide-stat">
+                <div className="label">Recent sessions</div>
+                <div className="stat-rows">
+                  {sessionLog.map((record) => (
+                    <button className="row session-row" key={record.id} onClick={() => onViewSession(record)}>
+                      <div className="name">{new Date(record.startedAt).toLocaleDateString()} · {SESSION_PRESETS[record.preset]?.label} · {MODES[record.mode]}</div>
+                      <div className="pct">{pctOf(record.correct, record.total)}%</div>
+                      <div className="ratio">{record.correct}/{record.total}</div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            {speed && (
+              <div className="stat wide-stat">
+                <div className="stat-section-header">
+                  <div className="label">Speed (time to answer)</div>
+                  {renderRangeFilter(speedRange, setSpeedRange, 'Speed range')}
+                </div>
+                <div className="value">{renderSpeedBlock(speed)}</div>
+              </div>
+            )}
+            {hasChords && (
+              <div className="stat wide-stat">
+                <div className="stat-section-header">
+                  <div className="label">Chords (credit per note)</div>
+                  {renderRangeFilter(chordRange, setChordRange, 'Chord range')}
+                </div>
+                <div className="value">{renderChordBlock(chords)}</div>
+              </div>
+            )}
+            {hasExact && (
+              <div className="stat wide-stat">
+                <div className="stat-section-header">
+                  <div className="label">Exact pitch (pitch class + octave)</div>
+                  {renderRangeFilter(exactRange, setExactRange, 'Exact pitch range')}
+                </div>
+                <div className="value">{renderExactBlock(exact)}</div>
+              </div>
+            )}
+            {hasDetune && (
+              <div className="stat wide-stat">
+                <div className="stat-section-header">
+                  <div className="label">Detuned notes (pitch class + intonation)</div>
+                  {renderRangeFilter(detuneRange, setDetuneRange, 'Detuned notes range')}
+                </div>
+                <div className="value">{renderDetuneBlock(detuned)}</div>
+              </div>
+            )}
+            {hasSinging && (
+              <div className="stat wide-stat">
+                <div className="stat-section-header">
+                  <div className="label">Singing (pitch production)</div>
+                  {renderRangeFilter(singRange, setSingRange, 'Singing range')}
+                </div>
+                <div className="value">{renderSingBlock(singing)}</div>
+              </div>
+            )}
           </div>
           <div className="overlay-footer">
             <div className="app-version" aria-label="Build date">Build: {buildDateStr}</div>
@@ -483,8 +1815,281 @@ export default function App() {
         </div>
       </div>
 
+      <div className={"overlay" + (showSettings ? '' : ' hidden')} aria-hidden={!showSettings} onClick={(event)=>{ if(event.target===event.currentTarget) closeOverlay(); }}>
+        <div className="overlay-content">
+          <div className="overlay-header">
+            <h3>Settings</h3>
+            <button aria-label="Close" onClick={closeOverlay}>✕</button>
+          </div>
+          <div className="settings">
+            <div className="stat">
+              <div className="label">Note names</div>
+              <div className="range-filter">
+                {Object.entries(NAMINGS).map(([key, label]) => (
+                  <button key={key} className={naming === key ? 'active' : ''} aria-pressed={naming === key ? 'true' : 'false'} onClick={() => onChangeNaming(key)}>{label}</button>
+                ))}
+              </div>
+            </div>
+            <div className="stat">
+              <div className="label">Pitch range</div>
+              <div className="settings-row">
+                <label>Lowest <select value={range.min} onChange={(event) => onChangeRange({ ...range, min: Number(event.target.value) })}>
+                  {rangeOptions.filter((midi) => midi <= RANGE_LIMITS.max - MIN_RANGE_SPAN).map((midi) => <option key={midi} value={midi}>{midiName(midi)}</option>)}
+                </select></label>
+                <label>Highest <select value={range.max} onChange={(event) => onChangeRange({ ...range, max: Number(event.target.value) })}>
+                  {rangeOptions.filter((midi) => midi >= range.min + MIN_RANGE_SPAN).map((midi) => <option key={midi} value={midi}>{midiName(midi)}</option>)}
+                </select></label>
+              </div>
+              <div className="range-filter">
+                {RANGE_PRESETS.map((preset) => {
+                  const active = preset.min === range.min && preset.max === range.max;
+                  return (
+                    <button key={preset.label} className={active ? 'active' : ''} aria-pressed={active ? 'true' : 'false'} onClick={() => onChangeRange(preset)}>
+                      {preset.label} ({midiName(preset.min)}–{midiName(preset.max)})
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+            <div className="stat">
+              <div className="label">Profiles</div>
+              <div className="settings-hint">Each profile keeps its own notes, settings, curriculum and history on this device.</div>
+              {profiles.list.map((profile) => (
+                <div className="profile-row" key={profile.id}>
+                  <div className="name">{profile.name}{profile.id === profiles.active ? ' (current)' : ''}</div>
+                  <button onClick={() => onExportProfile(profile)}>Export</button>
+                  <button
+                    disabled={profile.id === profiles.active}
+                    title={profile.id === profiles.active ? 'Switch to another profile first' : undefined}
+                    onClick={() => onDeleteProfile(profile)}
+                  >
+                    {pendingDelete === profile.id ? 'Really delete?' : 'Delete'}
+                  </button>
+                </div>
+              ))}
+              <form className="profile-row" onSubmit={onAddProfile}>
+                <input type="text" aria-label="New profile name" placeholder="New profile name" value={profileName} onChange={(event) => setProfileName(event.target.value)} />
+                <button type="submit" disabled={!profileName.trim()}>Add</button>
+              </form>
+              {profileError && <div className="settings-error">{profileError}</div>}
+            </div>
+            <div className="stat">
+              <div className="label">Your data</div>
+              <div className="settings-hint">Export this profile's history to keep a backup or move it to another device. Importing merges and skips attempts already here.</div>
+              <div className="range-filter">
+                <button onClick={() => onExportHistory('json')}>Export JSON</button>
+                <button onClick={() => onExportHistory('csv')}>Export CSV</button>
+                <label className="file-button">
+                  Import…
+                  <input type="file" accept=".json,.csv,application/json,text/csv" onChange={onImportHistory} />
+                </label>
+              </div>
+              {importMessage && <div className={importMessage.ok ? 'settings-hint' : 'settings-error'}>{importMessage.text}</div>}
+            </div>
+            {isOfflineSupported() && (
+              <div className="stat">
+                <div className="label">Offline</div>
+                <div className="settings-hint">
+                  {offline.shell ? 'This version of the app is available offline.' : 'The app is not yet available offline.'}
+                  {' '}{offline.instrumentUrls ? `${ALL_INSTRUMENTS.filter(isInstrumentOffline).length} instruments cached.` : ''}
+                </div>
+                <div className="range-filter">
+                  <button onClick={onDownloadOffline} disabled={!!offline.progress}>
+                    {offline.progress
+                      ? `Downloading ${offline.progress.done}/${offline.progress.total}…`
+                      : `Download app + ${loadSoundfontPool().length} instruments for offline`}
+                  </button>
+                  {offline.enabled && !offline.progress && <button onClick={onRemoveOffline}>Remove offline app</button>}
+                </div>
+                {offline.error && <div className="settings-error">{offline.error}</div>}
+              </div>
+            )}
+            <div className="stat">
+              <div className="label">MIDI keyboard</div>
+              <div className="settings-hint">Answer by playing a key on a connected MIDI controller. On a computer keyboard, A W S E D F T G Y H U J answer C to B.</div>
+              <label className="settings-check">
+                <input type="checkbox" checked={midiInput.enabled} disabled={!isMidiSupported()} onChange={onToggleMidiInput} />
+                Use MIDI input
+              </label>
+              <label className="settings-check">
+                <input type="checkbox" checked={midiInput.octaveAware} disabled={!midiInput.enabled} onChange={() => updateMidiInput({ ...midiInput, octaveAware: !midiInput.octaveAware })} />
+                Score the exact key in Listen mode (the octave counts, saved as Exact pitch)
+              </label>
+              <div className="settings-hint">
+                {!isMidiSupported() && "This browser doesn't support Web MIDI."}
+                {midiStatus?.state === 'error' && midiStatus.error}
+                {midiStatus?.state === 'connected' && (midiStatus.inputs.length ? `Connected: ${midiStatus.inputs.join(', ')}.` : 'No MIDI devices found. Plug one in.')}
+              </div>
+            </div>
+            <div className="stat">
+              <div className="label">Articulation</div>
+              <div className="settings-hint">Every note is matched for loudness. Varying how notes are played as well leaves pitch as the only reliable cue.</div>
+              {[
+                ['velocity', 'Vary velocity (loudness)'],
+                ['duration', 'Vary note length'],
+                ['timing', 'Vary timing slightly'],
+              ].map(([key, label]) => (
+                <label className="settings-check" key={key}>
+                  <input type="checkbox" checked={articulation[key]} onChange={() => onToggleArticulation(key)} />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <div className="stat">
+              <div className="label">Chords mode</div>
+              <div className="range-filter">
+                {[2, 3].map((size) => (
+                  <button key={size} className={chordOptions.size === size ? 'active' : ''} aria-pressed={chordOptions.size === size ? 'true' : 'false'} onClick={() => onChangeChordOptions({ ...chordOptions, size })}>
+                    {size === 2 ? 'Dyads (2)' : 'Triads (3)'}
+                  </button>
+                ))}
+                {[['together', 'Together'], ['arpeggio', 'Arpeggio']].map(([style, label]) => (
+                  <button key={style} className={chordOptions.style === style ? 'active' : ''} aria-pressed={chordOptions.style === style ? 'true' : 'false'} onClick={() => onChangeChordOptions({ ...chordOptions, style })}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="stat">
+              <div className="label">Between rounds</div>
+              <div className="settings-hint">Play a sound after each answer, then pause, so the next note can't be found from the last one by relative pitch.</div>
+              <div className="range-filter">
+                {[['off', 'Off'], ...Object.entries(INTERFERENCE_KINDS), ['mixed', 'Mixed']].map(([kind, label]) => (
+                  <button key={kind} className={interference.kind === kind ? 'active' : ''} aria-pressed={interference.kind === kind ? 'true' : 'false'} onClick={() => updateInterference({ ...interference, kind })}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {interference.kind !== 'off' && (
+                <div className="range-filter" role="group" aria-label="Silence before the next note">
+                  {INTERFERENCE_GAPS_MS.map((gapMs) => (
+                    <button key={gapMs} className={interference.gapMs === gapMs ? 'active' : ''} aria-pressed={interference.gapMs === gapMs ? 'true' : 'false'} onClick={() => updateInterference({ ...interference, gapMs })}>
+                      {gapMs / 1000} s
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="stat">
+              <div className="label">Detuned notes</div>
+              <div className="settings-hint">
+                Notes play sharp, flat or in tune by this many cents.
+                {detune.adaptive ? ' Adapting narrows or widens it for each note as you answer.' : ''}
+              </div>
+              <div className="range-filter">
+                {DETUNE_PRESETS.map((cents) => (
+                  <button key={cents} className={detune.cents === cents ? 'active' : ''} aria-pressed={detune.cents === cents ? 'true' : 'false'} onClick={() => onChangeDetune({ ...detune, cents, staircase: {} })}>
+                    {cents}¢
+                  </button>
+                ))}
+              </div>
+              <label className="settings-check">
+                <input type="checkbox" checked={detune.adaptive} onChange={() => onChangeDetune({ ...detune, adaptive: !detune.adaptive })} />
+                Adapt the offset per note
+              </label>
+            </div>
+            <div className="stat">
+              <div className="stat-section-header">
+                <div className="label">Instruments</div>
+                <a className="settings-link" href="/sound-lab.html" target="_blank" rel="noreferrer">Audition in Sound Lab</a>
+              </div>
+              <div className="settings-hint">
+                {instrumentSelection.length
+                  ? `${instrumentSelection.length} selected (shared with Sound Lab).`
+                  : 'None selected: using the default mix.'}
+              </div>
+              <div className="range-filter family-filter">
+                {Object.keys(SOURCE_FAMILIES).map((family) => {
+                  const members = SOURCE_FAMILIES[family];
+                  const count = members.filter((name) => instrumentSelection.includes(name)).length;
+                  const cls = count === members.length ? 'active' : count ? 'partial' : '';
+                  return <button key={family} className={cls} aria-pressed={count === members.length ? 'true' : count ? 'mixed' : 'false'} onClick={() => onToggleFamily(family)}>{family} ({count}/{members.length})</button>;
+                })}
+                {instrumentSelection.length > 0 && <button onClick={() => updateInstrumentSelection([])}>Use default mix</button>}
+              </div>
+              <label className="settings-check">
+                <input type="checkbox" checked={worstTimbres} onChange={onToggleWorstTimbres} />
+                Practise only my {WORST_TIMBRE_COUNT} worst instruments
+              </label>
+              {worstTimbres && showSettings && (
+                <div className="settings-hint">
+                  {(() => {
+                    const worst = worstInstruments(aggregates, loadInstrumentPool());
+                    return worst.length
+                      ? `Now: ${worst.map(sourceLabel).join(', ')}.`
+                      : `Not enough attempts yet (${WORST_TIMBRE_MIN_ATTEMPTS} per instrument); using the whole selection.`;
+                  })()}
+                </div>
+              )}
+              {Object.entries(SOURCE_FAMILIES).map(([family, members]) => (
+                <details key={family} className="instrument-family">
+                  <summary>{family}{offline.instrumentUrls && ` (${members.filter(isInstrumentOffline).length} offline)`}</summary>
+                  <div className="instrument-list">
+                    {members.map((name) => (
+                      <label key={name}>
+                        <input type="checkbox" checked={instrumentSelection.includes(name)} onChange={() => onToggleInstrument(name)} />
+                        {sourceLabel(name)}
+                        {isInstrumentOffline(name) && <span className="offline-badge" title="Available offline">offline</span>}
+                      </label>
+                    ))}
+                  </div>
+                </details>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className={"overlay" + (showSession ? '' : ' hidden')} aria-hidden={!showSession} onClick={(event)=>{ if(event.target===event.currentTarget) closeOverlay(); }}>
+        <div className="overlay-content">
+          <div className="overlay-header">
+            <h3>Session summary</h3>
+            <button aria-label="Close" onClick={closeOverlay}>✕</button>
+          </div>
+          {sessionView && (
+            <div className="stats-grid">
+              <div className="stat wide-stat">
+                <div className="label">
+                  {SESSION_PRESETS[sessionView.record.preset]?.label} · {MODES[sessionView.record.mode]} · {new Date(sessionView.record.startedAt).toLocaleString()} · {formatDuration(sessionView.record.endedAt - sessionView.record.startedAt)}
+                </div>
+                <div className="session-score">
+                  {sessionView.summary.all.pct}% <span>{sessionView.summary.all.correct}/{sessionView.summary.all.total} correct</span>
+                </div>
+                <div className="settings-hint">
+                  {sessionView.comparison
+                    ? `Previous: ${sessionView.comparison.previous}% · Last ${Math.min(5, sessionView.comparison.count)} average: ${sessionView.comparison.recentAverage}% · Best: ${sessionView.comparison.best}%`
+                    : 'Your first session of this kind.'}
+                </div>
+                {sessionView.saveFailed && <div className="settings-error">Some of this session's answers couldn't be saved to your practice history, so they won't count in your stats.</div>}
+              </div>
+              <div className="stat"><div className="label">By note</div><div className="value">{renderStatBlock(sessionView.summary)}</div></div>
+              <div className="stat">
+                <div className="label">Slowest notes</div>
+                <div className="value">
+                  <div className="stat-rows">
+                    {sessionView.summary.slowest.map((row) => (
+                      <div className="row" key={row.label}>
+                        <div className="name">{rowLabel(row.label)}</div>
+                        <div className="pct">{(row.responseMs / 1000).toFixed(1)}s</div>
+                        <div className="ratio">{row.correct}/{row.total}</div>
+                      </div>
+                    ))}
+                    {!sessionView.summary.slowest.length && <div className="settings-hint">No timings recorded.</div>}
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+          <div className="overlay-footer">
+            {sessionView && SESSION_PRESETS[sessionView.record.preset] && (
+              <button className="primary" onClick={() => { closeOverlay(); onStartSession(sessionView.record.preset); }}>Another {SESSION_PRESETS[sessionView.record.preset].label}</button>
+            )}
+          </div>
+        </div>
+      </div>
+
       {/* Floating Stats button bottom-right */}
-      <button className="stats-fab" onClick={openStats} aria-label="Stats">Stats</button>
+      <button className="stats-fab" onClick={() => openOverlay('stats')} aria-label="Stats">Stats</button>
     </>
   );
 }
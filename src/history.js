@@ -0,0 +1,464 @@
+// Practice history: IndexedDB storage with per-day aggregates, schema migrations, and export/import.
+// Each entry is one attempt: { ts, mode, midi, pitchClass, octave, guess, correct, ...mode-specific fields }.
+// Stats read per-day aggregates, updated on every write, instead of rescanning attempts.
+// The adaptive scheduler reads the most recent attempts, which are kept in memory.
+// The quiz engine (quizEngine.js) reaches all this through historyStorage.
+// Every learner profile has its own history (see profiles.js); this module holds the active profile's.
+
+import { activeProfileId, profileKey } from "./profiles.js";
+
+export const HISTORY_SCHEMA_VERSION = 2;
+// Where history lived before IndexedDB; migrated on first open, and still used if IndexedDB is unavailable
+const LEGACY_KEYS = {
+  history: "pt_history",
+  version: "pt_historyVersion", // absent = version 0 (before versioning)
+};
+const DB_NAME = "pitchteacher"; // per profile, via profileKey
+const DB_VERSION = 1;
+const RECENT_LIMIT = 2000;
+// Bump when aggregates gain fields; stored ones are then rebuilt from the attempts on open
+const AGGREGATE_VERSION = 3;
+// Correct within this long of the note starting, with no replay, counts as recognised instantly
+export const INSTANT_RESPONSE_MS = 2000;
+
+// MIGRATIONS[n] upgrades one entry from version n to n + 1
+const MIGRATIONS = [
+  // 0 -> 1: old entries only had 'letter', and predate practice modes
+  (item) => ({ ...item, pitchClass: item.pitchClass ?? item.letter, mode: item.mode || "listen" }),
+  // 1 -> 2: drop the legacy 'letter' duplicate of pitchClass
+  (item) => {
+    const next = { ...item };
+    delete next.letter;
+    return next;
+  },
+];
+
+export function migrateEntries(entries, fromVersion) {
+  let migrated = entries;
+  for (let version = fromVersion; version < HISTORY_SCHEMA_VERSION; version++) {
+    migrated = migrated.map(MIGRATIONS[version]);
+  }
+  return migrated;
+}
+
+// ----- Per-day aggregates -----
+// One per local day and mode: { key, day, mode, total, correct, pitchClasses, confusion, chords, instruments, octaves, interference }
+export function dayKey(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+export function isInstantCorrect(item) {
+  return item.correct && typeof item.responseMs === "number" && item.responseMs < INSTANT_RESPONSE_MS && !item.replays;
+}
+export function emptyPitchClassStat() {
+  return { total: 0, correct: 0, pitchClassCorrect: 0, intonationCorrect: 0, cents: [], settleMs: [], responseMs: [], instant: 0 };
+}
+function emptyAggregate(day, mode) {
+  return { key: `${day}|${mode}`, version: AGGREGATE_VERSION, day, mode, total: 0, correct: 0, pitchClasses: {}, confusion: {}, chords: { total: 0, correct: 0 }, instruments: {}, octaves: {}, interference: {} };
+}
+function countInto(map, key, correct) {
+  if (!map[key]) map[key] = { total: 0, correct: 0 };
+  map[key].total += 1; if (correct) map[key].correct += 1;
+}
+// `items` must all fall on the aggregate's day and mode, with chords complete
+function applyToAggregate(agg, items) {
+  const chords = new Map();
+  items.forEach((item) => {
+    agg.total += 1; if (item.correct) agg.correct += 1;
+    // Spreading over an empty stat fills in fields added since a stored aggregate was written
+    const pc = agg.pitchClasses[item.pitchClass] = { ...emptyPitchClassStat(), ...agg.pitchClasses[item.pitchClass] };
+    pc.total += 1; if (item.correct) pc.correct += 1;
+    if (item.pitchClassCorrect) pc.pitchClassCorrect += 1;
+    if (item.intonationCorrect) pc.intonationCorrect += 1;
+    // Intonation only means something once the right note was sung
+    if (typeof item.cents === "number" && item.correct) pc.cents.push(item.cents);
+    if (typeof item.settleMs === "number") pc.settleMs.push(item.settleMs);
+    if (typeof item.responseMs === "number") pc.responseMs.push(item.responseMs);
+    if (isInstantCorrect(item)) pc.instant += 1;
+    if (item.guess) {
+      if (!agg.confusion[item.pitchClass]) agg.confusion[item.pitchClass] = {};
+      const row = agg.confusion[item.pitchClass];
+      row[item.guess] = (row[item.guess] || 0) + 1;
+    }
+    // A synth fallback says nothing about the instrument that failed to load
+    if (item.instrument && !item.fallback) countInto(agg.instruments, item.instrument, item.correct);
+    if (Number.isFinite(item.octave)) countInto(agg.octaves, item.octave, item.correct);
+    // 'on' rounds followed an interference sound; 'off' ones may still be solvable from the previous note
+    countInto(agg.interference, item.interference ? "on" : "off", item.correct);
+    if (item.chordId !== undefined) chords.set(item.chordId, (chords.get(item.chordId) ?? true) && item.correct);
+  });
+  chords.forEach((allCorrect) => { agg.chords.total += 1; if (allCorrect) agg.chords.correct += 1; });
+  return agg;
+}
+function groupByAggregate(items) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const day = dayKey(item.ts), mode = item.mode || "listen", key = `${day}|${mode}`;
+    if (!groups.has(key)) groups.set(key, { day, mode, items: [] });
+    groups.get(key).items.push(item);
+  });
+  return groups;
+}
+function buildAggregates(items) {
+  const aggregates = new Map();
+  groupByAggregate(items).forEach(({ day, mode, items: group }, key) => aggregates.set(key, applyToAggregate(emptyAggregate(day, mode), group)));
+  return aggregates;
+}
+
+// ----- IndexedDB -----
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+function openDb(profileId) {
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB unavailable"));
+  const request = indexedDB.open(profileKey(DB_NAME, profileId), DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    // Attempts are identified by ts + midi (chord components share a ts but not a midi).
+    // The compound key also keeps them in time order.
+    db.createObjectStore("attempts", { keyPath: ["ts", "midi"] });
+    db.createObjectStore("daily", { keyPath: "key" });
+  };
+  return requestToPromise(request);
+}
+function loadRecent(db) {
+  return new Promise((resolve, reject) => {
+    const recent = [];
+    const request = db.transaction("attempts").objectStore("attempts").openCursor(null, "prev");
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && recent.length < RECENT_LIMIT) { recent.push(cursor.value); cursor.continue(); }
+      else resolve(recent.reverse());
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+// Add attempts not already stored, then recompute every aggregate from scratch
+async function putNewAndRebuild(db, entries) {
+  const existingKeys = await requestToPromise(db.transaction("attempts").objectStore("attempts").getAllKeys());
+  const seen = new Set(existingKeys.map(([ts, midi]) => `${ts}:${midi}`));
+  const added = [];
+  entries.forEach((item) => {
+    const key = `${item.ts}:${item.midi}`;
+    if (seen.has(key)) return;
+    seen.add(key); added.push(item);
+  });
+  const tx = db.transaction("attempts", "readwrite");
+  const attempts = tx.objectStore("attempts");
+  added.forEach((item) => attempts.put(item));
+  await transactionDone(tx);
+  const all = await requestToPromise(db.transaction("attempts").objectStore("attempts").getAll());
+  const aggregates = buildAggregates(all);
+  const rebuild = db.transaction("daily", "readwrite");
+  const daily = rebuild.objectStore("daily");
+  daily.clear();
+  aggregates.forEach((agg) => daily.put(agg));
+  await transactionDone(rebuild);
+  return { added: added.length, skipped: entries.length - added.length, aggregates };
+}
+
+// ----- localStorage (legacy / fallback) -----
+function loadLegacyHistory(profileId) {
+  const raw = localStorage.getItem(profileKey(LEGACY_KEYS.history, profileId));
+  if (!raw) return [];
+  let history;
+  try { history = JSON.parse(raw) || []; } catch { return []; }
+  const version = Number(localStorage.getItem(profileKey(LEGACY_KEYS.version, profileId))) || 0;
+  return migrateEntries(history, version);
+}
+function saveLegacyHistory(profileId, arr) {
+  localStorage.setItem(profileKey(LEGACY_KEYS.history, profileId), JSON.stringify(arr));
+  localStorage.setItem(profileKey(LEGACY_KEYS.version, profileId), String(HISTORY_SCHEMA_VERSION));
+}
+function removeLegacyHistory(profileId) {
+  localStorage.removeItem(profileKey(LEGACY_KEYS.history, profileId));
+  localStorage.removeItem(profileKey(LEGACY_KEYS.version, profileId));
+}
+
+// ----- Public API -----
+const store = {
+  profileId: null,
+  db: null, // null when falling back to localStorage
+  all: null, // full history, localStorage fallback only
+  recent: [],
+  aggregates: new Map(),
+};
+let ready = null;
+
+// Keep history in the localStorage array instead of IndexedDB
+function loadLegacyStore() {
+  store.db?.close();
+  store.db = null;
+  store.all = loadLegacyHistory(store.profileId);
+  store.aggregates = buildAggregates(store.all);
+  store.recent = store.all.slice(-RECENT_LIMIT);
+}
+
+async function loadDbStore() {
+  store.db = await openDb(store.profileId);
+  // Move anything left in localStorage over, then free the quota it used
+  if (localStorage.getItem(profileKey(LEGACY_KEYS.history, store.profileId))) {
+    await putNewAndRebuild(store.db, loadLegacyHistory(store.profileId));
+    removeLegacyHistory(store.profileId);
+  }
+  const aggregates = await requestToPromise(store.db.transaction("daily").objectStore("daily").getAll());
+  if (aggregates.some((agg) => agg.version !== AGGREGATE_VERSION)) store.aggregates = (await putNewAndRebuild(store.db, [])).aggregates;
+  else store.aggregates = new Map(aggregates.map((agg) => [agg.key, agg]));
+  store.recent = await loadRecent(store.db);
+}
+
+async function init() {
+  store.profileId = activeProfileId();
+  try {
+    await loadDbStore();
+  } catch {
+    // No IndexedDB (e.g. some private browsing modes), or it failed part-way: use the localStorage array.
+    // A failed migration leaves the legacy copy in place, so nothing is lost.
+    loadLegacyStore();
+  }
+}
+
+// Resolves once the active profile's history is loaded; safe to call repeatedly.
+// If loading fails the next call tries again, rather than every call failing for good.
+export function openHistory() {
+  if (!ready) {
+    const loading = init().catch((err) => {
+      if (ready === loading) ready = null;
+      throw err;
+    });
+    ready = loading;
+  }
+  return ready;
+}
+
+// Forget the loaded history, so the next openHistory loads whichever profile is active by then
+export async function closeHistory() {
+  const loading = ready;
+  ready = null;
+  if (loading) await loading.catch(() => {});
+  store.db?.close();
+  Object.assign(store, { profileId: null, db: null, all: null, recent: [], aggregates: new Map() });
+}
+
+// Most recent attempts, oldest first (empty until openHistory resolves)
+export function recentHistory() { return store.recent; }
+
+// All per-day aggregates (empty until openHistory resolves)
+export function historyAggregates() { return [...store.aggregates.values()]; }
+
+// Record attempts (all components of a chord in one call). Memory updates immediately; the write is async.
+export async function addAttempts(entries) {
+  await openHistory();
+  store.recent = [...store.recent, ...entries].slice(-RECENT_LIMIT);
+  const groups = groupByAggregate(entries);
+  groups.forEach(({ day, mode, items }, key) => {
+    store.aggregates.set(key, applyToAggregate(store.aggregates.get(key) || emptyAggregate(day, mode), items));
+  });
+  if (!store.db) {
+    store.all.push(...entries);
+    saveLegacyHistory(store.profileId, store.all);
+    return;
+  }
+  const tx = store.db.transaction(["attempts", "daily"], "readwrite");
+  const attempts = tx.objectStore("attempts");
+  const daily = tx.objectStore("daily");
+  entries.forEach((item) => attempts.put(item));
+  // Read-modify-write inside the transaction so another tab's updates aren't lost
+  groups.forEach(({ day, mode, items }, key) => {
+    const request = daily.get(key);
+    request.onsuccess = () => {
+      const agg = applyToAggregate(request.result || emptyAggregate(day, mode), items);
+      daily.put(agg);
+      store.aggregates.set(key, agg);
+    };
+  });
+  await transactionDone(tx);
+}
+
+// ----- Quiz engine storage -----
+// The { recent, aggregates, add } interface quizEngine.js reads and writes through.
+// The loaded profile's history:
+export const historyStorage = { recent: recentHistory, aggregates: historyAggregates, add: addAttempts };
+
+// Kept in memory only and never persisted, e.g. for tests. Starts from `entries` if given.
+export function memoryStorage(entries = []) {
+  let recent = entries.slice(-RECENT_LIMIT);
+  const aggregates = buildAggregates(entries);
+  return {
+    recent: () => recent,
+    aggregates: () => [...aggregates.values()],
+    add: async (items) => {
+      recent = [...recent, ...items].slice(-RECENT_LIMIT);
+      groupByAggregate(items).forEach(({ day, mode, items: group }, key) => {
+        aggregates.set(key, applyToAggregate(aggregates.get(key) || emptyAggregate(day, mode), group));
+      });
+    },
+  };
+}
+
+// Every attempt, oldest first
+export async function loadAllHistory() {
+  await openHistory();
+  if (!store.db) return [...store.all];
+  return requestToPromise(store.db.transaction("attempts").objectStore("attempts").getAll());
+}
+
+// Merge imported attempts, skipping ones already present
+export async function importHistory(entries) {
+  await openHistory();
+  if (!store.db) {
+    const { merged, added, skipped } = mergeHistory(store.all, entries);
+    store.all = merged;
+    saveLegacyHistory(store.profileId, merged);
+    store.aggregates = buildAggregates(merged);
+    store.recent = merged.slice(-RECENT_LIMIT);
+    return { added, skipped };
+  }
+  const { added, skipped, aggregates } = await putNewAndRebuild(store.db, entries);
+  store.aggregates = aggregates;
+  store.recent = await loadRecent(store.db);
+  return { added, skipped };
+}
+
+// Every attempt of any profile, oldest first, without switching to it
+export async function loadProfileHistory(profileId) {
+  if (profileId === store.profileId) return loadAllHistory();
+  let db;
+  try {
+    db = await openDb(profileId);
+  } catch {
+    return loadLegacyHistory(profileId);
+  }
+  try {
+    return await requestToPromise(db.transaction("attempts").objectStore("attempts").getAll());
+  } finally {
+    db.close();
+  }
+}
+
+// Remove a profile's history for good. Not for the loaded profile: switch away first.
+export async function deleteProfileHistory(profileId) {
+  if (profileId === store.profileId) throw new Error("Can't delete the history in use");
+  removeLegacyHistory(profileId);
+  if (typeof indexedDB === "undefined") return;
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(profileKey(DB_NAME, profileId));
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    // Another tab still has it open; it goes once that tab closes it
+    request.onblocked = () => resolve();
+  });
+}
+
+// ----- Export -----
+const CSV_COLUMNS = ["ts", "date", "mode", "midi", "pitchClass", "octave", "guess", "correct"]; // then any others, sorted
+const BOOLEAN_FIELDS = ["correct", "pitchClassCorrect", "intonationCorrect", "fallback"];
+const STRING_FIELDS = ["mode", "pitchClass", "guess", "intonation", "interference", "date"];
+
+// `extra` adds top-level fields (e.g. the profile); import only reads the history
+export function historyToJson(history, extra = {}) {
+  return JSON.stringify({ app: "pitchteacher", schemaVersion: HISTORY_SCHEMA_VERSION, exportedAt: new Date().toISOString(), ...extra, history }, null, 2);
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function historyToCsv(history) {
+  const extra = new Set();
+  history.forEach((item) => Object.keys(item).forEach((key) => { if (!CSV_COLUMNS.includes(key)) extra.add(key); }));
+  const columns = [...CSV_COLUMNS, ...[...extra].sort()];
+  const lines = [columns.join(",")];
+  history.forEach((item) => {
+    // 'date' is a readable copy of ts for spreadsheets; import ignores it
+    const row = { ...item, date: new Date(item.ts).toISOString() };
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+// ----- Import -----
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c !== ""));
+}
+
+function entriesFromCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  return rows.map((cells) => {
+    const item = {};
+    header.forEach((column, index) => {
+      const value = cells[index];
+      if (column === "date" || value === undefined || value === "") return;
+      if (BOOLEAN_FIELDS.includes(column)) item[column] = value === "true";
+      else if (STRING_FIELDS.includes(column) || Number.isNaN(Number(value))) item[column] = value;
+      else item[column] = Number(value);
+    });
+    return item;
+  });
+}
+
+function isValidEntry(item) {
+  return item && Number.isFinite(item.ts) && Number.isFinite(item.midi) && typeof item.pitchClass === "string";
+}
+
+// Parse an exported file (our JSON or CSV, or a bare JSON array from older copies) into current-schema entries
+export function parseHistoryFile(text, fileName = "") {
+  let entries, version;
+  if (/\.csv$/i.test(fileName) || !/^\s*[[{]/.test(text)) {
+    // CSV is always written from migrated history
+    entries = entriesFromCsv(text); version = HISTORY_SCHEMA_VERSION;
+  } else {
+    const parsed = JSON.parse(text);
+    entries = Array.isArray(parsed) ? parsed : parsed.history;
+    version = Array.isArray(parsed) ? 0 : Number(parsed.schemaVersion) || 0;
+    if (!Array.isArray(entries)) throw new Error("No history found in file");
+    if (version > HISTORY_SCHEMA_VERSION) throw new Error("File is from a newer version of the app");
+  }
+  const migrated = migrateEntries(entries, version);
+  const valid = migrated.filter(isValidEntry);
+  return { entries: valid, invalid: migrated.length - valid.length };
+}
+
+// An attempt is identified by ts + midi (chord components share a ts but not a midi)
+function mergeHistory(existing, incoming) {
+  const keyOf = (item) => `${item.ts}:${item.midi}`;
+  const seen = new Set(existing.map(keyOf));
+  const added = [];
+  incoming.forEach((item) => {
+    const key = keyOf(item);
+    if (seen.has(key)) return;
+    seen.add(key); added.push(item);
+  });
+  const merged = [...existing, ...added].sort((a, b) => a.ts - b.ts);
+  return { merged, added: added.length, skipped: incoming.length - added.length };
+}
@@ -6,7 +6,7 @@ import './style.css';
 const root = createRoot(document.getElementById('root'));
 root.render(<App />);
 
-// Register a scoped service worker that only caches soundfont assets.
+// Register the service worker: caches soundfont assets, plus the app shell once offline mode is opted into.
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
     try {
@@ -0,0 +1,53 @@
+// MIDI note numbers and pitch classes. A pitch class is its sharp spelling ("C", "C#" ... "B");
+// see noteNames.js for display. No browser APIs here, so the quiz engine and tests can use it anywhere.
+
+export const PITCH_CLASSES = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
+export const PITCH_CLASS_TO_PC = { C: 0, "C#": 1, D: 2, "D#": 3, E: 4, F: 5, "F#": 6, G: 7, "G#": 8, A: 9, "A#": 10, B: 11 };
+export const DEFAULT_RANGE = { min: 45, max: 79 }; // A2–G5
+export const RANGE_LIMITS = { min: 21, max: 108 }; // A0–C8, what the soundfonts cover
+export const MIN_RANGE_SPAN = 11; // every pitch class needs at least one playable note
+
+export function midiFromPitchClass(pitchClassLabel, octave) {
+  const pc = PITCH_CLASS_TO_PC[pitchClassLabel];
+  return 12 * (octave + 1) + pc;
+}
+export function pitchFromMidi(midi) {
+  const pc = midi % 12; const octave = Math.floor(midi / 12) - 1;
+  const entries = Object.entries(PITCH_CLASS_TO_PC);
+  const pitchClass = entries.find(([, pitch]) => pitch === pc)?.[0] || "";
+  return { pitchClass, octave };
+}
+export function noteNameFromMidi(midi) {
+  const { pitchClass, octave } = pitchFromMidi(midi);
+  return `${pitchClass}${octave}`;
+}
+export function validMidisForPitchClass(pitchClass, range = DEFAULT_RANGE) {
+  const midiList = [];
+  for (let octave = 0; octave <= 8; octave++) {
+    const midi = midiFromPitchClass(pitchClass, octave);
+    if (midi >= range.min && midi <= range.max) midiList.push(midi);
+  }
+  return midiList;
+}
+export function nearestMidiForPitchClass(pitchClass, targetMidi, range = DEFAULT_RANGE) {
+  const candidateMidis = validMidisForPitchClass(pitchClass, range);
+  if (!candidateMidis.length) return null;
+  let bestMidi = candidateMidis[0];
+  let bestDiffAbs = Math.abs(bestMidi - targetMidi);
+  for (let index = 1; index < candidateMidis.length; index++) {
+    const diff = Math.abs(candidateMidis[index] - targetMidi);
+    if (diff < bestDiffAbs || (diff === bestDiffAbs && candidateMidis[index] < bestMidi)) { bestMidi = candidateMidis[index]; bestDiffAbs = diff; }
+  }
+  const { pitchClass: pcLabel, octave } = pitchFromMidi(bestMidi);
+  return { midi: bestMidi, pitchClass: pcLabel, octave };
+}
+// Score a sung (fractional) MIDI pitch against a target pitch class, in whatever octave was sung
+export function scoreSungPitch(targetPitchClass, sungMidi) {
+  const { pitchClass, octave } = pitchFromMidi(Math.round(sungMidi));
+  const targetPc = PITCH_CLASS_TO_PC[targetPitchClass];
+  const targetMidi = targetPc + 12 * Math.round((sungMidi - targetPc) / 12);
+  const cents = Math.round((sungMidi - targetMidi) * 100);
+  return { pitchClass, octave, midi: targetMidi, cents, correct: pitchClass === targetPitchClass };
+}
+// Key number of a note-on message, else null (note-on with velocity 0 is a note-off)
+export function midiNoteOn(data) { return (data[0] & 0xf0) === 0x90 && data[2] > 0 ? data[1] : null; }
@@ -0,0 +1,34 @@
+// Display names for pitch classes. Everywhere else (storage, history, settings, answer keys) a pitch class
+// is its sharp spelling: "C", "C#" ... "B". These functions only change what's shown.
+
+export const NAMINGS = {
+  sharps: "Sharps (C♯)",
+  flats: "Flats (D♭)",
+  both: "Both (C♯/D♭)",
+  solfege: "Solfège (Do, Re, Mi)",
+  german: "German (H, B)",
+};
+export const DEFAULT_NAMING = "sharps";
+
+const FLATS = { "C#": "D♭", "D#": "E♭", "F#": "G♭", "G#": "A♭", "A#": "B♭" };
+// Fixed do: Do is always C
+const SOLFEGE = { C: "Do", D: "Re", E: "Mi", F: "Fa", G: "Sol", A: "La", B: "Si" };
+// H is B natural and B is B flat; the other black keys take -is
+const GERMAN = { C: "C", "C#": "Cis", D: "D", "D#": "Dis", E: "E", F: "F", "F#": "Fis", G: "G", "G#": "Gis", A: "A", "A#": "B", B: "H" };
+
+export function pitchClassName(pitchClass, naming = DEFAULT_NAMING) {
+  const sharp = pitchClass.replace("#", "♯");
+  switch (naming) {
+    case "flats": return FLATS[pitchClass] || pitchClass;
+    case "both": return FLATS[pitchClass] ? `${sharp}/${FLATS[pitchClass]}` : pitchClass;
+    case "solfege": return SOLFEGE[pitchClass[0]] + (pitchClass.endsWith("#") ? "♯" : "");
+    case "german": return GERMAN[pitchClass] || pitchClass;
+    default: return sharp;
+  }
+}
+
+// Scientific octave numbers (C4 is middle C) in every naming
+export function noteName(pitchClass, octave, naming = DEFAULT_NAMING) {
+  if (naming === "both" && FLATS[pitchClass]) return `${pitchClass.replace("#", "♯")}${octave}/${FLATS[pitchClass]}${octave}`;
+  return `${pitchClassName(pitchClass, naming)}${octave}`;
+}
@@ -0,0 +1,81 @@
+// Opt-in offline support.
+// Soundfonts go into the same cache public/sw.js serves them from. The app shell is cached
+// under a per-build name; the SW only falls back to it when the network is unreachable,
+// so online visits always get the current index.
+
+export const SOUNDFONT_CACHE = 'sf-cache-v1'; // keep in sync with public/sw.js
+const SHELL_CACHE_PREFIX = 'pt-shell-'; // keep in sync with public/sw.js
+const ASSET_MANIFEST_URL = '/asset-manifest.json'; // written by `vite build`, see vite.config.js
+
+export function isOfflineSupported() {
+  return typeof window !== 'undefined' && 'caches' in window && 'serviceWorker' in navigator;
+}
+
+function shellCacheName(buildId) { return SHELL_CACHE_PREFIX + buildId; }
+
+async function fetchOk(url) {
+  const resp = await fetch(url, { cache: 'no-store' });
+  if (!resp.ok) throw new Error(`${url}: HTTP ${resp.status}`);
+  return resp;
+}
+
+// Every built file the app can load: entry, lazy chunks, CSS and imported assets
+function manifestFiles(manifest) {
+  const files = new Set();
+  Object.values(manifest).forEach((chunk) => {
+    if (chunk.file) files.add('/' + chunk.file);
+    (chunk.css || []).forEach((file) => files.add('/' + file));
+    (chunk.assets || []).forEach((file) => files.add('/' + file));
+  });
+  return [...files];
+}
+
+export async function hasAppShell(buildId) {
+  if (!isOfflineSupported()) return false;
+  return caches.has(shellCacheName(buildId));
+}
+
+// Cache this build's shell and drop shells from older builds
+export async function cacheAppShell(buildId) {
+  const manifest = await (await fetchOk(ASSET_MANIFEST_URL)).json();
+  const name = shellCacheName(buildId);
+  const cache = await caches.open(name);
+  try {
+    await cache.put('/index.html', await fetchOk('/'));
+    for (const file of [...manifestFiles(manifest), '/music-note.svg']) {
+      await cache.put(file, await fetchOk(file));
+    }
+  } catch (err) {
+    // Never leave a half-written shell that the SW could serve
+    await caches.delete(name);
+    throw err;
+  }
+  await removeAppShell(name);
+}
+
+export async function removeAppShell(keepName = null) {
+  if (!isOfflineSupported()) return;
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter((n) => n.startsWith(SHELL_CACHE_PREFIX) && n !== keepName)
+    .map((n) => caches.delete(n)));
+}
+
+export async function cachedSoundfontUrls() {
+  if (!isOfflineSupported()) return new Set();
+  const cache = await caches.open(SOUNDFONT_CACHE);
+  const requests = await cache.keys();
+  return new Set(requests.map((request) => request.url));
+}
+
+// Sequential on purpose: soundfont files are several MB each
+export async function cacheSoundfonts(urls, onProgress = () => {}) {
+  const cache = await caches.open(SOUNDFONT_CACHE);
+  const cached = await cachedSoundfontUrls();
+  let done = 0;
+  onProgress(done, urls.length);
+  for (const url of urls) {
+    if (!cached.has(url)) await cache.put(url, await fetchOk(url));
+    onProgress(++done, urls.length);
+  }
+}
@@ -0,0 +1,66 @@
+// Monophonic pitch detection for microphone input (YIN).
+// de Cheveigné & Kawahara, "YIN, a fundamental frequency estimator for speech and music" (2002).
+
+const DEFAULTS = {
+  threshold: 0.12, // CMNDF dip below this counts as periodic
+  minFreq: 70, // ~C#2, below most singing voices
+  maxFreq: 1200, // ~D6
+  minRms: 0.01, // silence gate
+};
+
+// Returns { freq, clarity } for the dominant pitch in `buffer`, or null if unvoiced/silent
+export function detectPitch(buffer, sampleRate, options = {}) {
+  const { threshold, minFreq, maxFreq, minRms } = { ...DEFAULTS, ...options };
+  const size = buffer.length;
+  const windowSize = Math.floor(size / 2);
+
+  let sumSquares = 0;
+  for (let i = 0; i < size; i++) sumSquares += buffer[i] * buffer[i];
+  if (Math.sqrt(sumSquares / size) < minRms) return null;
+
+  const minTau = Math.max(2, Math.floor(sampleRate / maxFreq));
+  const maxTau = Math.min(windowSize, Math.ceil(sampleRate / minFreq));
+  if (maxTau <= minTau) return null;
+
+  // Difference function, then cumulative mean normalized difference (in place)
+  const diff = new Float32Array(maxTau + 1);
+  for (let tau = 1; tau <= maxTau; tau++) {
+    let sum = 0;
+    for (let j = 0; j < windowSize; j++) {
+      const delta = buffer[j] - buffer[j + tau];
+      sum += delta * delta;
+    }
+    diff[tau] = sum;
+  }
+  diff[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    runningSum += diff[tau];
+    diff[tau] = runningSum ? (diff[tau] * tau) / runningSum : 1;
+  }
+
+  // First dip under the threshold, walked down to its local minimum
+  let tau = -1;
+  for (let t = minTau; t <= maxTau; t++) {
+    if (diff[t] < threshold) {
+      while (t + 1 <= maxTau && diff[t + 1] < diff[t]) t++;
+      tau = t;
+      break;
+    }
+  }
+  if (tau === -1) return null;
+
+  // Parabolic interpolation for sub-sample accuracy
+  let betterTau = tau;
+  if (tau > 1 && tau < maxTau) {
+    const s0 = diff[tau - 1], s1 = diff[tau], s2 = diff[tau + 1];
+    const denom = s0 + s2 - 2 * s1;
+    if (denom) betterTau = tau + (s0 - s2) / (2 * denom);
+  }
+  return { freq: sampleRate / betterTau, clarity: 1 - diff[tau] };
+}
+
+// Fractional MIDI number for a frequency (A4 = 440 Hz = 69)
+export function midiFromFreq(freq) {
+  return 69 + 12 * Math.log2(freq / 440);
+}
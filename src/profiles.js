@@ -0,0 +1,49 @@
+// Learner profiles sharing one device. Each has its own settings, curriculum, session log and history;
+// only device-wide things (offline caching) are shared.
+// The default profile keeps the original unprefixed keys, so data from before profiles is simply its data.
+// public/sound-lab.html scopes the instrument list the same way.
+
+export const DEFAULT_PROFILE = { id: "default", name: "Default" };
+const PROFILES_KEY = "pt_profiles"; // { active, list: [{ id, name }] }
+
+export function loadProfiles() {
+  try {
+    const state = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (state?.list?.length) {
+      const active = state.list.some((profile) => profile.id === state.active) ? state.active : state.list[0].id;
+      return { active, list: state.list };
+    }
+  } catch {}
+  return { active: DEFAULT_PROFILE.id, list: [DEFAULT_PROFILE] };
+}
+export function saveProfiles(state) { localStorage.setItem(PROFILES_KEY, JSON.stringify(state)); }
+
+export function activeProfileId() { return loadProfiles().active; }
+
+export function newProfile(name) { return { id: `p${Date.now().toString(36)}`, name }; }
+
+// 'pt_mode' stays 'pt_mode' for the default profile and becomes 'pt_mode@<id>' for the others
+export function profileKey(key, id = activeProfileId()) {
+  return id === DEFAULT_PROFILE.id ? key : `${key}@${id}`;
+}
+
+// localStorage, scoped to the active profile
+export const profileStorage = {
+  getItem: (key) => localStorage.getItem(profileKey(key)),
+  setItem: (key, value) => localStorage.setItem(profileKey(key), value),
+  removeItem: (key) => localStorage.removeItem(profileKey(key)),
+};
+
+// A profile's stored values for `keys`, as saved (strings)
+export function profileSettings(id, keys) {
+  const settings = {};
+  keys.forEach((key) => {
+    const value = localStorage.getItem(profileKey(key, id));
+    if (value !== null) settings[key] = value;
+  });
+  return settings;
+}
+
+export function removeProfileSettings(id, keys) {
+  keys.forEach((key) => localStorage.removeItem(profileKey(key, id)));
+}
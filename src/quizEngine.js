@@ -0,0 +1,429 @@
+// The quiz without a view: picks each round's target, scores answers into history entries and saves them.
+// No React, DOM or audio here. The view plays the notes and tells the engine when they were heard.
+// Randomness, the clock and storage are passed in, so tests can replay the same rounds.
+//
+// Storage is { recent(), aggregates(), add(entries) }: historyStorage or memoryStorage from history.js.
+// Events, subscribed with on(name, fn), which returns an unsubscribe function:
+// - roundStarted(round)
+// - guessed({ round, entries, correct }), as soon as an answer is scored
+// - roundEnded({ round, answered }), once per round: after its attempts are saved, or when it's left unanswered
+// - curriculumChanged({ curriculum, selected }), when the curriculum unlocks, re-locks or clears its last change
+// - sessionChanged(session), when a session starts, counts an answered round or ends (null)
+// - sessionEnded({ record, entries, saveFailed }), once a session with answers ends and its saves have settled
+
+import { DEFAULT_RANGE, MIN_RANGE_SPAN, PITCH_CLASSES, PITCH_CLASS_TO_PC, pitchFromMidi, scoreSungPitch, validMidisForPitchClass } from "./midi.js";
+
+// ----- Selection -----
+export function pickRandom(list, rng = Math.random) { return list[Math.floor(rng() * list.length)]; }
+export function pickWeighted(list, weights, rng = Math.random) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (!(total > 0)) return pickRandom(list, rng);
+  let r = rng() * total;
+  for (let i = 0; i < list.length; i++) {
+    if ((r -= weights[i]) <= 0) return list[i];
+  }
+  return list[list.length - 1];
+}
+
+// History entries without a mode predate practice modes and are 'listen'
+// (the history.js migration fills it in; this covers anything not yet migrated).
+export function modeOf(item) { return item.mode || "listen"; }
+
+// ----- Adaptive scheduling -----
+// Weight each pitch class by its recent error rate, how often it's involved in confusions
+// (as the target or as the wrong guess), and how long since it was last heard.
+// A floor keeps mastered pitch classes in the mix.
+const ADAPTIVE_WINDOW = 30; // most recent attempts per pitch class that count
+const ADAPTIVE_FLOOR = 0.2;
+const ADAPTIVE_STALE_MS = 7 * 24 * 60 * 60 * 1000; // unseen this long = full recency boost
+export function computeAdaptiveWeights(history, pitchClasses, now = Date.now()) {
+  const stats = {};
+  pitchClasses.forEach((pc) => (stats[pc] = { total: 0, wrong: 0, confused: 0, lastTs: 0 }));
+  // Walk newest to oldest so each pitch class only counts its recent window
+  for (let i = history.length - 1; i >= 0; i--) {
+    const item = history[i];
+    const stat = stats[item.pitchClass];
+    if (!stat) continue;
+    if (!stat.lastTs) stat.lastTs = item.ts;
+    if (stat.total >= ADAPTIVE_WINDOW) continue;
+    stat.total += 1;
+    if (!item.correct) {
+      stat.wrong += 1;
+      // The note it was mistaken for needs practice too
+      if (stats[item.guess]) stats[item.guess].confused += 1;
+    }
+  }
+  return pitchClasses.map((pc) => {
+    const { total, wrong, confused, lastTs } = stats[pc];
+    const errorRate = (wrong + 1) / (total + 2); // smoothed; unseen notes start at 0.5
+    const confusionRate = Math.min(1, confused / (total + 2));
+    const staleness = lastTs ? Math.min(1, (now - lastTs) / ADAPTIVE_STALE_MS) : 1;
+    return ADAPTIVE_FLOOR + errorRate + 0.5 * confusionRate + 0.5 * staleness;
+  });
+}
+
+// ----- Curriculum -----
+// Pitch classes in unlock order: a triad of major thirds, the whole tones between them, then the rest.
+// The newest pitch class is judged only on attempts since it was unlocked; the others on their recent window.
+export const CURRICULUM_ORDER = ["C","E","G#","D","F#","A#","A","D#","G","C#","B","F"];
+export const CURRICULUM_START = 3; // level = number of unlocked pitch classes
+const CURRICULUM_WINDOW = 20; // most recent attempts per pitch class that count
+export const CURRICULUM_MIN_ATTEMPTS = 15;
+const CURRICULUM_UNLOCK = 0.85; // every unlocked pitch class at or above this unlocks the next
+const CURRICULUM_STRUGGLE = 0.6; // below this the newest pitch class is locked again; older ones get extra practice
+const CURRICULUM_FOCUS_BOOST = 3; // weight multiplier for struggling pitch classes
+export const DEFAULT_CURRICULUM = { enabled: false, level: CURRICULUM_START, since: 0, lastChange: null };
+// Any mode counts; what matters is whether the pitch class was right
+function pitchClassCorrectOf(item) { return ["exact", "detune"].includes(modeOf(item)) ? !!item.pitchClassCorrect : !!item.correct; }
+export function evaluateCurriculum(history, state) {
+  const unlocked = CURRICULUM_ORDER.slice(0, state.level);
+  const newest = unlocked[unlocked.length - 1];
+  const stats = {};
+  unlocked.forEach((pc) => (stats[pc] = { total: 0, correct: 0 }));
+  for (let i = history.length - 1; i >= 0; i--) {
+    const item = history[i];
+    const stat = stats[item.pitchClass];
+    if (!stat || stat.total >= CURRICULUM_WINDOW || (item.pitchClass === newest && item.ts < state.since)) continue;
+    stat.total += 1;
+    if (pitchClassCorrectOf(item)) stat.correct += 1;
+  }
+  const accuracy = (pc) => (stats[pc].total ? stats[pc].correct / stats[pc].total : 0);
+  const measured = (pc) => stats[pc].total >= CURRICULUM_MIN_ATTEMPTS;
+  const ready = unlocked.filter((pc) => measured(pc) && accuracy(pc) >= CURRICULUM_UNLOCK);
+  const struggling = unlocked.filter((pc) => measured(pc) && accuracy(pc) < CURRICULUM_STRUGGLE);
+  // Each pitch class contributes how far it is toward enough attempts at the unlock accuracy
+  const progress = unlocked.reduce((sum, pc) => sum + Math.min(1, stats[pc].total / CURRICULUM_MIN_ATTEMPTS) * Math.min(1, accuracy(pc) / CURRICULUM_UNLOCK), 0) / unlocked.length;
+  return { unlocked, newest, stats, ready, struggling, progress, next: CURRICULUM_ORDER[state.level] ?? null };
+}
+// Returns the same state object when nothing changes
+export function stepCurriculum(history, state, now = Date.now()) {
+  const { unlocked, newest, ready, struggling, next } = evaluateCurriculum(history, state);
+  if (next && ready.length === unlocked.length) {
+    return { ...state, level: state.level + 1, since: now, lastChange: { type: "unlock", pitchClass: next, ts: now } };
+  }
+  if (struggling.includes(newest) && state.level > CURRICULUM_START) {
+    return { ...state, level: state.level - 1, since: now, lastChange: { type: "relock", pitchClass: newest, ts: now } };
+  }
+  return state;
+}
+export function curriculumSelection(level) {
+  const unlocked = CURRICULUM_ORDER.slice(0, level);
+  return Object.fromEntries(PITCH_CLASSES.map((pc) => [pc, unlocked.includes(pc)]));
+}
+
+// ----- Intonation -----
+// Detuned-notes mode plays each note sharp, flat or in tune by a number of cents, and asks for both the nearest
+// pitch class and which way it was off. With adapting on, every pitch class keeps its own offset on a
+// 2-down 1-up staircase: two right judgments in a row shrink it, one wrong grows it, so it settles at
+// the offset judged right about 71% of the time. In-tune rounds are catch trials and don't move it.
+export const DETUNE_LIMITS = { min: 2, max: 50 }; // cents
+const STAIRCASE_FACTOR = 1.25; // each step scales the offset by this
+const STAIRCASE_DOWN = 2; // right judgments in a row before the offset shrinks
+export const DEFAULT_DETUNE = { cents: 20, adaptive: true, staircase: {} }; // staircase: pitch class -> { cents, run }
+export function clampCents(cents) { return Math.min(DETUNE_LIMITS.max, Math.max(DETUNE_LIMITS.min, cents)); }
+export function detuneOffset(options, pitchClass) {
+  return options.adaptive ? (options.staircase[pitchClass]?.cents ?? options.cents) : options.cents;
+}
+// Signed cents for the next round: a third each sharp, flat and in tune
+export function pickDetune(options, pitchClass, rng = Math.random) {
+  return Math.round(pickRandom([-1, 0, 1], rng) * detuneOffset(options, pitchClass));
+}
+export function intonationOf(cents) {
+  if (!cents) return "in-tune";
+  return cents > 0 ? "sharp" : "flat";
+}
+// Returns the same options object when nothing changes
+export function stepStaircase(options, pitchClass, detune, judgedRight) {
+  if (!options.adaptive || !detune) return options;
+  const { cents, run } = options.staircase[pitchClass] || { cents: options.cents, run: 0 };
+  let next = { cents, run: run + 1 };
+  if (!judgedRight) next = { cents: clampCents(cents * STAIRCASE_FACTOR), run: 0 };
+  else if (next.run >= STAIRCASE_DOWN) next = { cents: clampCents(cents / STAIRCASE_FACTOR), run: 0 };
+  return { ...options, staircase: { ...options.staircase, [pitchClass]: next } };
+}
+
+// ----- Entries -----
+// The instrument the round was played on, flagged when a synth voice stood in for it
+function heardInstrument(target) {
+  if (!target.instrument) return {};
+  return target.fallback ? { instrument: target.instrument, fallback: true } : { instrument: target.instrument };
+}
+// Which interference sound, if any, came before the round's note
+function interferenceOf(target) { return target.interference ? { interference: target.interference } : {}; }
+// When the round's note first played, how long the answer took, and how often it was replayed first
+function responseTiming(target, ts) {
+  if (!target.playedAt) return {};
+  return { playedAt: target.playedAt, responseMs: ts - target.playedAt, replays: target.replays || 0 };
+}
+function roundContext(target, ts) {
+  return { ...heardInstrument(target), ...interferenceOf(target), ...responseTiming(target, ts) };
+}
+
+// ----- Sessions -----
+// A session ends after a number of answered rounds, or on the first answer once its time is up
+export const SESSION_PRESETS = {
+  notes20: { label: "20 notes", rounds: 20 },
+  notes50: { label: "50 notes", rounds: 50 },
+  minutes5: { label: "5 minutes", ms: 5 * 60 * 1000 },
+};
+function sessionDone(session, now) {
+  const { rounds, ms } = SESSION_PRESETS[session.preset];
+  return rounds ? session.rounds >= rounds : now - session.startedAt >= ms;
+}
+
+// ----- Engine -----
+const RECENT_MIDIS = 3; // a new target avoids these last played notes when its pitch class has another octave
+export const DEFAULT_SETTINGS = {
+  mode: "listen",
+  selected: { C: true, E: true, "G#": true }, // pitch class -> true
+  range: DEFAULT_RANGE,
+  adaptive: false,
+  curriculum: DEFAULT_CURRICULUM,
+  chordOptions: { size: 2 },
+  detune: DEFAULT_DETUNE,
+};
+
+export function createQuizEngine({ storage, settings = {}, rng = Math.random, now = Date.now } = {}) {
+  let current = { ...DEFAULT_SETTINGS, ...settings };
+  let round = null;
+  let recentMidis = [];
+  let lastId = 0;
+  let session = null; // { id, preset, mode, startedAt, rounds }
+  let sessionEntries = [], sessionSaves = []; // the running session's attempts, and their writes
+  const listeners = {
+    roundStarted: new Set(), guessed: new Set(), roundEnded: new Set(),
+    curriculumChanged: new Set(), sessionChanged: new Set(), sessionEnded: new Set(),
+  };
+  const emit = (name, payload) => listeners[name].forEach((fn) => fn(payload));
+  const selectedPitchClasses = () => PITCH_CLASSES.filter((pc) => !!current.selected[pc]);
+  const notePlayed = (midi) => { recentMidis = [...recentMidis, midi].slice(-RECENT_MIDIS); };
+  // Rounds are replaced rather than changed, so a view holding the old object sees the difference
+  const updateRound = (patch) => (round = { ...round, ...patch });
+  const leaveRound = () => {
+    if (round && !round.answered) emit("roundEnded", { round, answered: false });
+    round = null;
+  };
+
+  const setCurriculum = (curriculum, selected = current.selected) => {
+    current = { ...current, curriculum, selected };
+    emit("curriculumChanged", { curriculum, selected });
+  };
+  // Unlock or re-lock from the saved attempts; a change also selects the unlocked pitch classes.
+  // Returns the curriculum, the same object when nothing changed.
+  const advanceCurriculum = () => {
+    if (!current.curriculum.enabled) return current.curriculum;
+    const next = stepCurriculum(storage.recent(), current.curriculum, now());
+    if (next !== current.curriculum) setCurriculum(next, curriculumSelection(next.level));
+    return next;
+  };
+
+  const setSession = (next) => {
+    session = next;
+    emit("sessionChanged", session);
+  };
+  // The summary comes from the attempts kept here rather than storage, so a failed save doesn't lose it
+  const endSession = () => {
+    if (!session) return;
+    const { id, preset, mode, startedAt, rounds } = session;
+    const entries = sessionEntries, saves = sessionSaves;
+    sessionEntries = []; sessionSaves = [];
+    setSession(null);
+    if (!entries.length) return;
+    const record = { id, preset, mode, startedAt, endedAt: now(), rounds, total: entries.length, correct: entries.filter((entry) => entry.correct).length };
+    Promise.allSettled(saves).then((results) => {
+      emit("sessionEnded", { record, entries, saveFailed: results.some((result) => result.status === "rejected") });
+    });
+  };
+  const countSessionRound = (entries, saved) => {
+    sessionEntries = [...sessionEntries, ...entries];
+    sessionSaves = [...sessionSaves, saved];
+    setSession({ ...session, rounds: session.rounds + 1 });
+    if (sessionDone(session, now())) endSession();
+  };
+
+  // Adaptive mode favours weak/confused/stale pitch classes; otherwise uniform.
+  // The curriculum also boosts pitch classes that are slipping.
+  const pitchClassWeights = (pitchClasses) => {
+    const { adaptive, mode, curriculum } = current;
+    const weights = adaptive
+      ? computeAdaptiveWeights(storage.recent().filter((item) => modeOf(item) === mode), pitchClasses, now())
+      : pitchClasses.map(() => 1);
+    if (!curriculum.enabled) return weights;
+    const { struggling } = evaluateCurriculum(storage.recent(), curriculum);
+    return weights.map((weight, i) => (struggling.includes(pitchClasses[i]) ? weight * CURRICULUM_FOCUS_BOOST : weight));
+  };
+
+  const pickTarget = (prevPitchClass) => {
+    const pitchClasses = selectedPitchClasses();
+    if (pitchClasses.length === 0) return null;
+    const weights = pitchClassWeights(pitchClasses);
+    // Previous letter has half the weight it would otherwise have
+    if (prevPitchClass && pitchClasses.length > 1) {
+      const prevIndex = pitchClasses.indexOf(prevPitchClass);
+      if (prevIndex !== -1) weights[prevIndex] *= 0.5;
+    }
+    const pitchClass = pickWeighted(pitchClasses, weights, rng);
+    const candidateMidis = validMidisForPitchClass(pitchClass, current.range);
+    if (!candidateMidis.length) return null;
+    const filteredMidis = candidateMidis.filter((midi) => !recentMidis.includes(midi));
+    const midi = pickRandom(filteredMidis.length ? filteredMidis : candidateMidis, rng);
+    return { midi, pitchClass, octave: pitchFromMidi(midi).octave };
+  };
+
+  // Distinct pitch classes voiced within one octave, lowest first
+  const pickChord = () => {
+    const pool = selectedPitchClasses();
+    const size = Math.min(current.chordOptions.size, pool.length);
+    if (!size) return null;
+    const weights = pitchClassWeights(pool);
+    const chosen = [];
+    while (chosen.length < size) {
+      const index = pool.indexOf(pickWeighted(pool, weights, rng));
+      chosen.push(pool[index]);
+      pool.splice(index, 1); weights.splice(index, 1);
+    }
+    const { range } = current;
+    const base = range.min + Math.floor(rng() * (range.max - MIN_RANGE_SPAN - range.min + 1));
+    return chosen
+      .map((pitchClass) => base + ((PITCH_CLASS_TO_PC[pitchClass] - (base % 12) + 12) % 12))
+      .sort((a, b) => a - b)
+      .map((midi) => ({ midi, ...pitchFromMidi(midi) }));
+  };
+
+  // One entry per answered round, except chords: one per component, wrong picks paired with missed notes as their guesses
+  const scoreAnswer = (target, input, ts) => {
+    const { midi, pitchClass, octave } = target;
+    if (input.midi !== undefined) {
+      // Exact mode, or an octave-aware MIDI key in listen mode, which is stored as exact
+      const guess = pitchFromMidi(input.midi).pitchClass;
+      return { entries: [{ ts, mode: "exact", midi, pitchClass, octave, guess, guessMidi: input.midi, correct: input.midi === midi, pitchClassCorrect: guess === pitchClass, ...roundContext(target, ts) }] };
+    }
+    if (target.mode === "chord") {
+      const targetPitchClasses = target.notes.map((note) => note.pitchClass);
+      const wrongPicks = input.picks.filter((pc) => !targetPitchClasses.includes(pc));
+      return {
+        entries: target.notes.map((note) => {
+          const correct = input.picks.includes(note.pitchClass);
+          const guess = correct ? note.pitchClass : (wrongPicks.shift() ?? null);
+          return { ts, mode: "chord", chordId: ts, chordSize: target.notes.length, midi: note.midi, pitchClass: note.pitchClass, octave: note.octave, guess, correct, ...roundContext(target, ts) };
+        }),
+      };
+    }
+    if (target.mode === "detune") {
+      // Right overall only when both the pitch class and the direction of the detuning are
+      const pitchClassCorrect = input.pitchClass === pitchClass;
+      const intonationCorrect = input.intonation === intonationOf(target.detune);
+      return { entries: [{ ts, mode: "detune", midi, pitchClass, octave, guess: input.pitchClass, correct: pitchClassCorrect && intonationCorrect, pitchClassCorrect, detuneCents: target.detune, intonation: input.intonation, intonationCorrect, ...roundContext(target, ts) }] };
+    }
+    if (target.mode === "sing") {
+      // midi/octave describe the target in the octave that was sung
+      const result = { ...scoreSungPitch(pitchClass, input.sungMidi), settleMs: input.settleMs };
+      return { result, entries: [{ ts, mode: "sing", midi: result.midi, pitchClass, octave: pitchFromMidi(result.midi).octave, guess: result.pitchClass, correct: result.correct, cents: result.cents, settleMs: result.settleMs }] };
+    }
+    return { entries: [{ ts, mode: "listen", midi, pitchClass, octave, guess: input.pitchClass, correct: input.pitchClass === pitchClass, ...roundContext(target, ts) }] };
+  };
+
+  return {
+    get settings() { return current; },
+    get round() { return round; },
+    get recentMidis() { return recentMidis; },
+    get session() { return session; },
+
+    on(name, fn) {
+      listeners[name].add(fn);
+      return () => listeners[name].delete(fn);
+    },
+
+    // Applies from the next round. A new range also forgets which notes were just played,
+    // and a new mode ends the session: a session is scored in one mode.
+    configure(patch) {
+      if (patch.range && patch.range !== current.range) recentMidis = [];
+      if (patch.mode && patch.mode !== current.mode) endSession();
+      current = { ...current, ...patch };
+    },
+
+    // `interference` lists the sounds that may come first; one is picked once a note has been heard this sitting.
+    // Null (keeping the current round) when no target can be picked.
+    startRound({ instrument = null, interference = [] } = {}) {
+      const { mode } = current;
+      const lastMidi = recentMidis[recentMidis.length - 1];
+      const prevPitchClass = round?.pitchClass || (lastMidi !== undefined ? pitchFromMidi(lastMidi).pitchClass : null);
+      let target;
+      if (mode === "chord") {
+        // The lowest note stands in for the chord wherever a single note is expected
+        const notes = pickChord();
+        target = notes && { ...notes[0], notes };
+      } else {
+        target = pickTarget(prevPitchClass);
+        if (target && mode === "detune") target.detune = pickDetune(current.detune, target.pitchClass, rng);
+      }
+      if (!target) return null;
+      leaveRound();
+      // The last unlock or re-lock is announced until the next round
+      if (current.curriculum.lastChange) setCurriculum({ ...current.curriculum, lastChange: null });
+      // Sing mode plays nothing up front, so there's nothing to clear
+      if (mode !== "sing" && recentMidis.length && interference.length) target.interference = pickRandom(interference, rng);
+      // Nothing is heard in sing mode, so there it counts straight away
+      round = { ...target, id: ++lastId, mode, instrument, heard: mode === "sing", replays: 0, answered: false };
+      (target.notes || [target]).forEach((note) => notePlayed(note.midi));
+      emit("roundStarted", round);
+      return round;
+    },
+
+    isCurrent(id) { return round?.id === id; },
+
+    // The round's note has played. Response time runs from the first time; null if the round was left meanwhile.
+    heard(id, { fallback = false } = {}) {
+      if (round?.id !== id) return null;
+      return updateRound({ heard: true, fallback: !!(round.fallback || fallback), playedAt: round.playedAt ?? now() });
+    },
+
+    // Retrying a note that never played isn't a replay
+    replayed(id) {
+      if (round?.id !== id || !round.heard) return null;
+      return updateRound({ replays: round.replays + 1 });
+    },
+
+    // Any note played outside a round's target (answer previews) also counts as recently heard
+    notePlayed,
+
+    // Score and save the current round. Input by mode: listen { pitchClass }, exact { midi }, chord { picks },
+    // detune { pitchClass, intonation }, sing { sungMidi, settleMs }.
+    // Returns { round, entries, correct, result (sing only), saved }, or null when there's nothing to answer.
+    // Once saved, the curriculum advances; the round also counts toward any running session.
+    answer(input) {
+      if (!round || round.answered || !round.heard) return null;
+      const target = round;
+      let { entries, result = null } = scoreAnswer(target, input, now());
+      if (session) entries = entries.map((entry) => ({ ...entry, sessionId: session.id }));
+      const correct = entries.every((entry) => entry.correct);
+      const answered = updateRound({ answered: true });
+      if (entries[0].mode === "detune") {
+        current = { ...current, detune: stepStaircase(current.detune, target.pitchClass, target.detune, entries[0].intonationCorrect) };
+      }
+      emit("guessed", { round: answered, entries, correct });
+      // Stats and adaptive weights see the attempt immediately; the write finishes in the background
+      const saved = storage.add(entries).then(() => {
+        advanceCurriculum();
+        emit("roundEnded", { round: answered, answered: true });
+      });
+      if (session) countSessionRound(entries, saved);
+      return { round: answered, entries, correct, result, saved };
+    },
+
+    // Leave the current round without affecting stats
+    endRound() { leaveRound(); },
+
+    // Also run by the view once stored history has loaded
+    advanceCurriculum,
+
+    // Attempts are stamped with the session's id until it ends; starting one ends any running session
+    startSession(preset) {
+      endSession();
+      setSession({ id: now(), preset, mode: current.mode, startedAt: now(), rounds: 0 });
+      return session;
+    },
+
+    endSession,
+  };
+}
@@ -0,0 +1,356 @@
+// Sound sources: everything the quiz can play exposes play(midi, duration, gain, when, cents) on its AudioContext;
+// cents detunes the note away from equal temperament.
+// Backends, chosen by instrument name:
+// - General MIDI soundfont samples (any plain name, e.g. 'flute'): loadSoundfont, then createSoundfontSource
+// - 'synth:<voice>': Web Audio versions of the Tone.js voices auditioned in Sound Lab
+// - 'osc:<wave>': a bare oscillator at freqFromMidi(midi)
+// renderOffline plays any of them into an OfflineAudioContext, so output can be checked without speakers.
+// playInterference makes the memory-clearing sounds played between rounds.
+
+import { noteNameFromMidi } from './midi.js';
+
+export const GENERATED_SOURCES = {
+  'synth:mono': 'Mono synth',
+  'synth:am': 'AM synth',
+  'synth:fm': 'FM synth',
+  'synth:pluck': 'Pluck synth',
+  'osc:sine': 'Sine wave',
+  'osc:triangle': 'Triangle wave',
+  'osc:square': 'Square wave',
+  'osc:sawtooth': 'Sawtooth wave',
+};
+const PEAK = 0.3; // base level; playback also matches loudness (see loudnessGain)
+
+export function freqFromMidi(midi) { return 440 * Math.pow(2, (midi - 69) / 12); }
+
+export function isGeneratedSource(name) { return Object.prototype.hasOwnProperty.call(GENERATED_SOURCES, name); }
+
+export function sourceLabel(name) {
+  return GENERATED_SOURCES[name] || name.replace(/_/g, ' ');
+}
+
+// Attack, decay to sustain, then release so the note has faded by when + duration
+function applyEnvelope(param, when, duration, peak, { attack = 0.01, decay = 0.1, sustain = 0.7, release = 0.3 } = {}) {
+  const releaseAt = Math.max(when + attack + decay, when + duration - release);
+  param.setValueAtTime(0, when);
+  param.linearRampToValueAtTime(peak, when + attack);
+  param.exponentialRampToValueAtTime(Math.max(peak * sustain, 0.0001), when + attack + decay);
+  param.setValueAtTime(Math.max(peak * sustain, 0.0001), releaseAt);
+  param.exponentialRampToValueAtTime(0.0001, Math.max(releaseAt + 0.01, when + duration));
+}
+
+function startOscillators(oscillators, when, duration) {
+  oscillators.forEach((osc) => { osc.start(when); osc.stop(when + duration + 0.05); });
+}
+
+// Each voice wires one note into `out`, whose gain it shapes
+const SYNTH_VOICES = {
+  // Square wave through a low-pass filter whose cutoff sweeps down (MonoSynth)
+  mono(ac, out, freq, when, duration, gain) {
+    const osc = ac.createOscillator();
+    const filter = ac.createBiquadFilter();
+    osc.type = 'square';
+    osc.frequency.value = freq;
+    filter.type = 'lowpass';
+    filter.Q.value = 1;
+    filter.frequency.setValueAtTime(Math.min(freq * 8, 12000), when);
+    filter.frequency.exponentialRampToValueAtTime(Math.min(freq * 2, 12000), when + 0.4);
+    osc.connect(filter).connect(out);
+    applyEnvelope(out.gain, when, duration, PEAK * 0.6 * gain, { attack: 0.005, decay: 0.1, sustain: 0.9 });
+    startOscillators([osc], when, duration);
+  },
+  // Sine carrier whose amplitude a square wave at 3x the pitch modulates (AMSynth)
+  am(ac, out, freq, when, duration, gain) {
+    const carrier = ac.createOscillator();
+    const modulator = ac.createOscillator();
+    const depth = ac.createGain();
+    const tremolo = ac.createGain();
+    carrier.frequency.value = freq;
+    modulator.type = 'square';
+    modulator.frequency.value = freq * 3;
+    depth.gain.value = 0.5;
+    tremolo.gain.value = 0.5;
+    modulator.connect(depth).connect(tremolo.gain);
+    carrier.connect(tremolo).connect(out);
+    applyEnvelope(out.gain, when, duration, PEAK * gain, { attack: 0.01, decay: 0.01, sustain: 1, release: 0.5 });
+    startOscillators([carrier, modulator], when, duration);
+  },
+  // Sine carrier frequency-modulated at 3x the pitch, the index decaying for a bell-like attack (FMSynth)
+  fm(ac, out, freq, when, duration, gain) {
+    const carrier = ac.createOscillator();
+    const modulator = ac.createOscillator();
+    const index = ac.createGain();
+    carrier.frequency.value = freq;
+    modulator.frequency.value = freq * 3;
+    index.gain.setValueAtTime(freq * 3 * 2, when);
+    index.gain.exponentialRampToValueAtTime(freq * 3 * 0.3, when + Math.max(0.05, duration * 0.6));
+    modulator.connect(index).connect(carrier.frequency);
+    carrier.connect(out);
+    applyEnvelope(out.gain, when, duration, PEAK * gain, { attack: 0.01, decay: 0.2, sustain: 0.6 });
+    startOscillators([carrier, modulator], when, duration);
+  },
+  // Bright sawtooth whose filter and level die away quickly, like a plucked string (PluckSynth)
+  pluck(ac, out, freq, when, duration, gain) {
+    const osc = ac.createOscillator();
+    const filter = ac.createBiquadFilter();
+    osc.type = 'sawtooth';
+    osc.frequency.value = freq;
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(Math.min(freq * 12, 16000), when);
+    filter.frequency.exponentialRampToValueAtTime(Math.max(freq, 200), when + Math.max(0.05, duration * 0.5));
+    osc.connect(filter).connect(out);
+    out.gain.setValueAtTime(0, when);
+    out.gain.linearRampToValueAtTime(PEAK * 0.8 * gain, when + 0.003);
+    out.gain.exponentialRampToValueAtTime(0.0001, when + duration);
+    startOscillators([osc], when, duration);
+  },
+};
+
+function oscillatorVoice(wave) {
+  return (ac, out, freq, when, duration, gain) => {
+    const osc = ac.createOscillator();
+    osc.type = wave;
+    osc.frequency.value = freq;
+    osc.connect(out);
+    // Harsher waves have more energy at the same peak
+    const level = wave === 'sine' || wave === 'triangle' ? 1 : 0.5;
+    applyEnvelope(out.gain, when, duration, PEAK * level * gain, { attack: 0.01, decay: 0.05, sustain: 0.8, release: 0.2 });
+    startOscillators([osc], when, duration);
+  };
+}
+
+// Additive organ-like tone; stands in when a soundfont can't be loaded
+function additiveVoice(ac, out, freq, when, duration, gain) {
+  const HARMONICS = [1, 0.5, 0.25, 0.12];
+  out.gain.setValueAtTime(0, when);
+  out.gain.linearRampToValueAtTime(0.25 * gain, when + 0.01);
+  out.gain.exponentialRampToValueAtTime(0.001, when + duration);
+  const oscillators = HARMONICS.map((amp, index) => {
+    const osc = ac.createOscillator();
+    const partial = ac.createGain();
+    osc.frequency.value = freq * (index + 1);
+    partial.gain.value = amp;
+    osc.connect(partial).connect(out);
+    return osc;
+  });
+  startOscillators(oscillators, when, duration);
+}
+
+function voiceSource(ac, voice, destination) {
+  return {
+    play(midi, duration = 1, gain = 1, when = ac.currentTime, cents = 0) {
+      const out = ac.createGain();
+      out.connect(destination);
+      // Detuning the frequency keeps every partial, modulator and filter in proportion
+      voice(ac, out, freqFromMidi(midi + cents / 100), when, duration, gain);
+    },
+  };
+}
+
+// A synth or oscillator source, by name ('synth:fm', 'osc:sine'...)
+export function createGeneratedSource(ac, name, destination = ac.destination) {
+  const [backend, type] = name.split(':');
+  if (backend === 'synth' && SYNTH_VOICES[type]) return voiceSource(ac, SYNTH_VOICES[type], destination);
+  if (backend === 'osc' && isGeneratedSource(name)) return voiceSource(ac, oscillatorVoice(type), destination);
+  throw new Error(`Unknown sound source: ${name}`);
+}
+
+export function createFallbackSource(ac, destination = ac.destination) {
+  return voiceSource(ac, additiveVoice, destination);
+}
+
+// ----- Soundfont -----
+export const SOUNDFONT = 'MusyngKite';
+const LOAD_TIMEOUT_MS = 15000; // soundfont files are several MB
+const LOAD_ATTEMPTS = 2;
+let soundfontModule = null;
+async function ensureSoundfont() {
+  if (!soundfontModule) {
+    // Bundled, but split into its own chunk so first paint doesn't wait for it
+    const mod = await import('soundfont-player');
+    soundfontModule = mod.default || mod;
+  }
+  return soundfontModule;
+}
+// The URL loadSoundfont fetches, which is also the service worker's cache key
+export async function soundfontUrl(name) {
+  const Soundfont = await ensureSoundfont();
+  return Soundfont.nameToUrl(name, SOUNDFONT, 'mp3');
+}
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+export const LOUDNESS_WINDOW_S = 1.0; // the part of a note that's heard, so the part loudness is matched over
+const soundfontGains = new WeakMap(); // loaded instrument -> Map(midi -> gain)
+// Per-note gains that match every sample's loudness (player buffers are keyed by MIDI number)
+function noteLoudnessGains(inst) {
+  const gains = new Map();
+  Object.entries(inst.buffers || {}).forEach(([midi, buffer]) => {
+    try { gains.set(Number(midi), loudnessGain(buffer, LOUDNESS_WINDOW_S)); } catch {}
+  });
+  return gains;
+}
+// The instrument's samples, decoded on `ac` (retried, and given up on after LOAD_TIMEOUT_MS)
+export async function loadSoundfont(ac, name) {
+  const Soundfont = await ensureSoundfont();
+  let lastError;
+  for (let attempt = 1; attempt <= LOAD_ATTEMPTS; attempt++) {
+    try {
+      const inst = await withTimeout(Soundfont.instrument(ac, name, { soundfont: SOUNDFONT }), LOAD_TIMEOUT_MS, `Timed out loading ${name}`);
+      soundfontGains.set(inst, noteLoudnessGains(inst));
+      return inst;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+// A soundfont loaded on `ac` as a sound source, loudness-matched note by note
+export function createSoundfontSource(ac, inst) {
+  const gains = soundfontGains.get(inst);
+  return {
+    play(midi, duration = 1, gain = 1, when = ac.currentTime, cents = 0) {
+      const node = inst.play(noteNameFromMidi(midi), when, { gain: gain * (gains?.get(midi) ?? 1), duration });
+      if (cents && node?.source?.detune) node.source.detune.value = cents;
+    },
+  };
+}
+
+// Render notes ({ midi, duration, gain, when, cents }) into an AudioBuffer.
+// createSource(ctx) builds the source on the offline context and may be async (e.g. loading samples).
+// OfflineContext defaults to the browser's; tests pass their own.
+export async function renderOffline(createSource, notes, {
+  sampleRate = 44100, channels = 1, tail = 0.25,
+  OfflineContext = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext,
+} = {}) {
+  if (!OfflineContext) throw new Error('OfflineAudioContext unavailable');
+  const end = Math.max(0, ...notes.map(({ when = 0, duration = 1 }) => when + duration)) + tail;
+  const ctx = new OfflineContext(channels, Math.ceil(end * sampleRate), sampleRate);
+  const source = await createSource(ctx);
+  notes.forEach(({ midi, duration = 1, gain = 1, when = 0, cents = 0 }) => source.play(midi, duration, gain, when, cents));
+  return ctx.startRendering();
+}
+
+// ----- Interference -----
+// Played between rounds so the next note can't be worked out from the previous one by relative pitch
+export const INTERFERENCE_KINDS = {
+  noise: 'Noise burst',
+  cluster: 'Atonal cluster',
+  glissando: 'Chromatic glissando',
+};
+const NOISE_S = 0.5;
+const CLUSTER_S = 0.8;
+const CLUSTER_SIZE = 5;
+const GLISSANDO_STEP_S = 0.05;
+const GLISSANDO_NOTES = 24;
+const INTERFERENCE_LOW = 48, INTERFERENCE_HIGH = 84; // MIDI range clusters and glissandos are drawn from
+
+function randomMidi(low, high) { return low + Math.floor(Math.random() * (high - low + 1)); }
+
+// Plays `kind` at `when` and returns how long it lasts, in seconds
+export function playInterference(ac, kind, when = ac.currentTime, destination = ac.destination) {
+  if (kind === 'noise') {
+    const buffer = ac.createBuffer(1, Math.ceil(NOISE_S * ac.sampleRate), ac.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    const noise = ac.createBufferSource();
+    const out = ac.createGain();
+    noise.buffer = buffer;
+    noise.connect(out).connect(destination);
+    out.gain.setValueAtTime(0, when);
+    out.gain.linearRampToValueAtTime(PEAK * 0.5, when + 0.01);
+    out.gain.exponentialRampToValueAtTime(0.0001, when + NOISE_S);
+    noise.start(when);
+    noise.stop(when + NOISE_S);
+    return NOISE_S;
+  }
+  const voice = voiceSource(ac, oscillatorVoice('triangle'), destination);
+  if (kind === 'cluster') {
+    const midis = new Set();
+    while (midis.size < CLUSTER_SIZE) midis.add(randomMidi(INTERFERENCE_LOW, INTERFERENCE_HIGH));
+    midis.forEach((midi) => voice.play(midi, CLUSTER_S, 1 / Math.sqrt(CLUSTER_SIZE), when));
+    return CLUSTER_S;
+  }
+  if (kind === 'glissando') {
+    const up = Math.random() < 0.5;
+    const start = up ? randomMidi(INTERFERENCE_LOW, INTERFERENCE_HIGH - GLISSANDO_NOTES) : randomMidi(INTERFERENCE_LOW + GLISSANDO_NOTES, INTERFERENCE_HIGH);
+    for (let i = 0; i < GLISSANDO_NOTES; i++) {
+      voice.play(start + (up ? i : -i), GLISSANDO_STEP_S * 2, 0.7, when + i * GLISSANDO_STEP_S);
+    }
+    return (GLISSANDO_NOTES + 1) * GLISSANDO_STEP_S;
+  }
+  throw new Error(`Unknown interference: ${kind}`);
+}
+
+// ----- Loudness -----
+// Gated RMS in the spirit of LUFS (ITU-R BS.1770), minus the K-weighting filter: mean square over 50 ms
+// blocks, ignoring near-silent blocks and those more than 10 dB under the mean of the rest.
+const LOUDNESS_BLOCK_S = 0.05;
+const ABSOLUTE_GATE = 1e-7; // mean square, about -70 dBFS
+const RELATIVE_GATE = 0.1; // -10 dB
+export const TARGET_RMS = 0.1; // -20 dBFS
+const MAX_LOUDNESS_GAIN = 8; // don't blow up near-silent samples
+
+// { rms, peak } over the first `seconds` of an AudioBuffer
+export function measureLoudness(buffer, seconds = Infinity) {
+  const length = Math.min(buffer.length, Math.floor(seconds * buffer.sampleRate));
+  const blockSize = Math.max(1, Math.floor(LOUDNESS_BLOCK_S * buffer.sampleRate));
+  const channels = [];
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+  const blocks = [];
+  let peak = 0;
+  for (let start = 0; start < length; start += blockSize) {
+    const end = Math.min(length, start + blockSize);
+    let sum = 0;
+    channels.forEach((data) => {
+      for (let i = start; i < end; i++) {
+        sum += data[i] * data[i];
+        if (Math.abs(data[i]) > peak) peak = Math.abs(data[i]);
+      }
+    });
+    blocks.push(sum / ((end - start) * channels.length));
+  }
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const audible = blocks.filter((meanSquare) => meanSquare > ABSOLUTE_GATE);
+  if (!audible.length) return { rms: 0, peak };
+  const threshold = mean(audible) * RELATIVE_GATE;
+  return { rms: Math.sqrt(mean(audible.filter((meanSquare) => meanSquare >= threshold))), peak };
+}
+
+// Gain that brings a sound to TARGET_RMS, limited so its peak can't clip
+export function loudnessGain(buffer, seconds) {
+  const { rms, peak } = measureLoudness(buffer, seconds);
+  if (!rms) return 1;
+  return Math.min(TARGET_RMS / rms, MAX_LOUDNESS_GAIN, 1 / peak);
+}
+
+// Generated voices and the fallback are measured per octave, by rendering its middle note offline:
+// filters and FM make their loudness change with pitch. renderOptions go to renderOffline.
+const voiceLoudness = new Map(); // `${name}|${octave}` -> promise of the gain
+function voiceLoudnessGain(name, createSource, midi, renderOptions) {
+  const octave = Math.floor(midi / 12);
+  const key = `${name}|${octave}`;
+  if (!voiceLoudness.has(key)) {
+    const notes = [{ midi: octave * 12 + 6, duration: LOUDNESS_WINDOW_S }];
+    voiceLoudness.set(key, renderOffline(createSource, notes, renderOptions)
+      .then((buffer) => loudnessGain(buffer, LOUDNESS_WINDOW_S), () => 1));
+  }
+  return voiceLoudness.get(key);
+}
+export function generatedLoudnessGain(name, midi, renderOptions) {
+  return voiceLoudnessGain(name, (ctx) => createGeneratedSource(ctx, name), midi, renderOptions);
+}
+async function matchedSource(source, midis, gainOf) {
+  const gains = new Map(await Promise.all(midis.map(async (midi) => [midi, await gainOf(midi)])));
+  return { play: (midi, duration, gain = 1, when, cents) => source.play(midi, duration, gain * (gains.get(midi) ?? 1), when, cents) };
+}
+// A generated voice on `ac`, loudness-matched for the notes about to be played
+export async function createMatchedGeneratedSource(ac, name, midis, renderOptions) {
+  return matchedSource(createGeneratedSource(ac, name), midis, (midi) => generatedLoudnessGain(name, midi, renderOptions));
+}
+// The fallback voice, matched the same way so a failed soundfont doesn't stand out by level
+export async function createMatchedFallbackSource(ac, midis, renderOptions) {
+  return matchedSource(createFallbackSource(ac), midis, (midi) => voiceLoudnessGain('fallback', createFallbackSource, midi, renderOptions));
+}
@@ -0,0 +1,249 @@
+// Summaries for the stats overlay, computed from the per-day aggregates in history.js.
+// Every function takes the aggregates (historyStorage.aggregates() or a memoryStorage's) as its first argument;
+// day filters select days ('YYYY-MM-DD').
+
+import { dayKey, emptyPitchClassStat } from "./history.js";
+import { PITCH_CLASSES, PITCH_CLASS_TO_PC } from "./midi.js";
+import { noteName } from "./noteNames.js";
+import { detuneOffset } from "./quizEngine.js";
+
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+export function pctOf(correct, total) { return total ? Math.round((correct/total)*100) : 0; }
+// push(...values) can overflow the call stack for a day with a very large list
+function appendAll(into, values = []) {
+  for (let i = 0; i < values.length; i++) into.push(values[i]);
+}
+// Sum one mode's per-day aggregates over the days passing dayFilter
+export function combineAggregates(aggregates, dayFilter, mode = "listen") {
+  const combined = { total: 0, correct: 0, pitchClasses: {}, confusion: {}, chords: { total: 0, correct: 0 }, instruments: {}, octaves: {}, interference: {} };
+  PITCH_CLASSES.forEach((pc) => (combined.pitchClasses[pc] = emptyPitchClassStat()));
+  aggregates.forEach((agg) => {
+    if (agg.mode !== mode || (dayFilter && !dayFilter(agg.day))) return;
+    combined.total += agg.total; combined.correct += agg.correct;
+    combined.chords.total += agg.chords.total; combined.chords.correct += agg.chords.correct;
+    Object.entries(agg.pitchClasses).forEach(([pc, stat]) => {
+      const into = combined.pitchClasses[pc];
+      if (!into) return;
+      into.total += stat.total; into.correct += stat.correct; into.pitchClassCorrect += stat.pitchClassCorrect;
+      into.intonationCorrect += stat.intonationCorrect || 0;
+      appendAll(into.cents, stat.cents); appendAll(into.settleMs, stat.settleMs);
+      appendAll(into.responseMs, stat.responseMs); into.instant += stat.instant || 0;
+    });
+    ["instruments", "octaves", "interference"].forEach((field) => Object.entries(agg[field] || {}).forEach(([key, stat]) => {
+      const into = combined[field][key] || (combined[field][key] = { total: 0, correct: 0 });
+      into.total += stat.total; into.correct += stat.correct;
+    }));
+    Object.entries(agg.confusion).forEach(([target, row]) => {
+      if (!combined.confusion[target]) combined.confusion[target] = {};
+      Object.entries(row).forEach(([guess, count]) => { combined.confusion[target][guess] = (combined.confusion[target][guess] || 0) + count; });
+    });
+  });
+  return combined;
+}
+export function hasModeHistory(aggregates, mode) { return aggregates.some((agg) => agg.mode === mode); }
+export function hasInterferenceHistory(aggregates) { return aggregates.some((agg) => agg.interference?.on?.total > 0); }
+
+// ----- Sessions -----
+const SESSION_SLOWEST = 3;
+// Score, per-pitch-class breakdown and the slowest pitch classes (by median response) for one session's attempts
+export function summarizeSession(entries) {
+  const byPitchClass = {};
+  entries.forEach((item) => {
+    const stat = byPitchClass[item.pitchClass] || (byPitchClass[item.pitchClass] = { total: 0, correct: 0, responseMs: [] });
+    stat.total += 1; if (item.correct) stat.correct += 1;
+    if (typeof item.responseMs === "number") stat.responseMs.push(item.responseMs);
+  });
+  const rows = PITCH_CLASSES.filter((pc) => byPitchClass[pc]).map((pc) => {
+    const { total, correct, responseMs } = byPitchClass[pc];
+    return { label: pc, total, correct, pct: pctOf(correct, total), responseMs: median(responseMs) };
+  });
+  const total = entries.length, correct = entries.filter((item) => item.correct).length;
+  const slowest = rows.filter((row) => row.responseMs !== null).sort((a, b) => b.responseMs - a.responseMs).slice(0, SESSION_SLOWEST);
+  return { all: { label: "All", total, correct, pct: pctOf(correct, total) }, rows, slowest };
+}
+// How a session compares with earlier ones of the same length and mode
+export function compareSessions(record, log) {
+  const earlier = log.filter((item) => item.startedAt < record.startedAt && item.preset === record.preset && item.mode === record.mode);
+  if (!earlier.length) return null;
+  const pct = (item) => pctOf(item.correct, item.total);
+  const recent = earlier.slice(-5);
+  return {
+    count: earlier.length,
+    previous: pct(earlier[earlier.length - 1]),
+    best: Math.max(...earlier.map(pct)),
+    recentAverage: Math.round(recent.reduce((sum, item) => sum + pct(item), 0) / recent.length),
+  };
+}
+
+// ----- Trends -----
+function shiftDay(day, offset) {
+  const [year, month, date] = day.split("-").map(Number);
+  return dayKey(new Date(year, month - 1, date + offset).getTime());
+}
+// One point per day, oldest first: listen-mode accuracy (overall and per pitch class) and attempts across all modes
+export function summarizeTrends(aggregates, dayCount, now = Date.now()) {
+  const today = dayKey(now);
+  const days = new Map();
+  for (let offset = 1 - dayCount; offset <= 0; offset++) {
+    const day = shiftDay(today, offset);
+    days.set(day, { day, attempts: 0, total: 0, correct: 0, pitchClasses: {} });
+  }
+  aggregates.forEach((agg) => {
+    const point = days.get(agg.day);
+    if (!point) return;
+    point.attempts += agg.total;
+    if (agg.mode !== "listen") return;
+    point.total += agg.total; point.correct += agg.correct;
+    Object.entries(agg.pitchClasses).forEach(([pc, stat]) => { point.pitchClasses[pc] = { total: stat.total, correct: stat.correct }; });
+  });
+  return [...days.values()];
+}
+// Consecutive practice days up to today (or yesterday, so the streak survives until today is over), and the longest run
+export function practiceStreaks(aggregates, now = Date.now()) {
+  const practiced = new Set(aggregates.filter((agg) => agg.total > 0).map((agg) => agg.day));
+  let best = 0, run = 0, prev = null;
+  [...practiced].sort().forEach((day) => {
+    run = prev && shiftDay(prev, 1) === day ? run + 1 : 1;
+    best = Math.max(best, run); prev = day;
+  });
+  let day = dayKey(now), current = 0;
+  if (!practiced.has(day)) day = shiftDay(day, -1);
+  while (practiced.has(day)) { current += 1; day = shiftDay(day, -1); }
+  return { current, best };
+}
+
+// ----- Summaries -----
+export function summarizeBy(aggregates, dayFilter) {
+  const { total, correct, pitchClasses } = combineAggregates(aggregates, dayFilter);
+  const rows = PITCH_CLASSES.map((pitchClass) => {
+    const stat = pitchClasses[pitchClass]; return { label: pitchClass, total: stat.total, correct: stat.correct, pct: pctOf(stat.correct, stat.total) };
+  });
+  return { all: { label: "All", total, correct, pct: pctOf(correct, total) }, rows };
+}
+// Target-vs-guess counts: matrix[target][guess], indexed by PITCH_CLASS_TO_PC
+export function confusionBy(aggregates, dayFilter) {
+  const { confusion } = combineAggregates(aggregates, dayFilter);
+  const matrix = PITCH_CLASSES.map(() => PITCH_CLASSES.map(() => 0));
+  Object.entries(confusion).forEach(([targetLabel, row]) => Object.entries(row).forEach(([guessLabel, count]) => {
+    const target = PITCH_CLASS_TO_PC[targetLabel];
+    const guess = PITCH_CLASS_TO_PC[guessLabel];
+    if (target === undefined || guess === undefined) return;
+    matrix[target][guess] += count;
+  }));
+  const pairs = [];
+  matrix.forEach((row, target) => row.forEach((count, guess) => {
+    if (target === guess || !count) return;
+    const diff = Math.abs(target - guess);
+    pairs.push({ target: PITCH_CLASSES[target], guess: PITCH_CLASSES[guess], count, semitones: Math.min(diff, 12 - diff) });
+  }));
+  pairs.sort((a, b) => b.count - a.count || a.semitones - b.semitones);
+  return { matrix, pairs };
+}
+// Sing-mode results: accuracy plus typical intonation error (when correct) and time to settle
+export function summarizeSinging(aggregates, dayFilter) {
+  const { pitchClasses } = combineAggregates(aggregates, dayFilter, "sing");
+  const summarize = (label, stats) => {
+    const total = stats.reduce((sum, stat) => sum + stat.total, 0), correct = stats.reduce((sum, stat) => sum + stat.correct, 0);
+    const cents = median(stats.flatMap((stat) => stat.cents.map(Math.abs)));
+    const settleMs = median(stats.flatMap((stat) => stat.settleMs));
+    return { label, total, correct, pct: pctOf(correct, total), cents, settleMs };
+  };
+  const rows = PITCH_CLASSES.map((pitchClass) => summarize(pitchClass, [pitchClasses[pitchClass]]));
+  return { all: summarize("All", Object.values(pitchClasses)), rows };
+}
+// Accuracy per instrument, worst first; labelOf names them for display
+export function summarizeInstruments(aggregates, dayFilter, labelOf = (name) => name) {
+  const { total, correct, instruments } = combineAggregates(aggregates, dayFilter);
+  const rows = Object.entries(instruments)
+    .map(([name, stat]) => ({ label: labelOf(name), name, total: stat.total, correct: stat.correct, pct: pctOf(stat.correct, stat.total) }))
+    .sort((a, b) => a.pct - b.pct || b.total - a.total);
+  return { all: { label: "All", total, correct, pct: pctOf(correct, total) }, rows };
+}
+// Accuracy per octave of the target note, low to high
+export function summarizeOctaves(aggregates, dayFilter, naming) {
+  const { total, correct, octaves } = combineAggregates(aggregates, dayFilter);
+  const rows = Object.keys(octaves).map(Number).sort((a, b) => a - b).map((octave) => {
+    const stat = octaves[octave];
+    return { label: `${noteName("C", octave, naming)}–${noteName("B", octave, naming)}`, total: stat.total, correct: stat.correct, pct: pctOf(stat.correct, stat.total) };
+  });
+  return { all: { label: "All", total, correct, pct: pctOf(correct, total) }, rows };
+}
+// Every mode but singing, which plays nothing before the answer
+const INTERFERENCE_MODES = ["listen", "chord", "exact", "detune"];
+// Rounds that followed an interference sound against plain ones, over all the modes that can have them
+export function summarizeInterference(aggregates, dayFilter) {
+  const combined = INTERFERENCE_MODES.map((mode) => combineAggregates(aggregates, dayFilter, mode));
+  const row = (label, stats) => {
+    const total = stats.reduce((sum, stat) => sum + (stat?.total || 0), 0);
+    const correct = stats.reduce((sum, stat) => sum + (stat?.correct || 0), 0);
+    return { label, total, correct, pct: pctOf(correct, total) };
+  };
+  return {
+    all: row("All", combined),
+    rows: [row("Plain", combined.map((stat) => stat.interference.off)), row("After interference", combined.map((stat) => stat.interference.on))],
+  };
+}
+// The pool's instruments with the lowest all-time accuracy, once they have enough attempts to judge
+export const WORST_TIMBRE_COUNT = 5;
+export const WORST_TIMBRE_MIN_ATTEMPTS = 5;
+export function worstInstruments(aggregates, pool) {
+  const { instruments } = combineAggregates(aggregates, null);
+  const measured = pool.filter((name) => instruments[name]?.total >= WORST_TIMBRE_MIN_ATTEMPTS);
+  const accuracy = (name) => instruments[name].correct / instruments[name].total;
+  return measured.sort((a, b) => accuracy(a) - accuracy(b)).slice(0, WORST_TIMBRE_COUNT);
+}
+// Listen-mode speed: median time from the note starting to the answer, and instant correct answers
+export function summarizeSpeed(aggregates, dayFilter) {
+  const { pitchClasses } = combineAggregates(aggregates, dayFilter);
+  const summarize = (label, stats) => {
+    const total = stats.reduce((sum, stat) => sum + stat.total, 0), correct = stats.reduce((sum, stat) => sum + stat.correct, 0);
+    const instant = stats.reduce((sum, stat) => sum + stat.instant, 0);
+    return { label, total, correct, pct: pctOf(correct, total), responseMs: median(stats.flatMap((stat) => stat.responseMs)), instant };
+  };
+  const rows = PITCH_CLASSES.map((pitchClass) => summarize(pitchClass, [pitchClasses[pitchClass]]));
+  return { all: summarize("All", Object.values(pitchClasses)), rows };
+}
+// Chord results are stored one entry per component, so per-pitch-class rows work as usual
+export function summarizeChords(aggregates, dayFilter) {
+  const { total, correct, pitchClasses, chords } = combineAggregates(aggregates, dayFilter, "chord");
+  const rows = PITCH_CLASSES.map((pitchClass) => {
+    const stat = pitchClasses[pitchClass]; return { label: pitchClass, total: stat.total, correct: stat.correct, pct: pctOf(stat.correct, stat.total) };
+  });
+  return {
+    all: { label: "All notes", total, correct, pct: pctOf(correct, total) },
+    rows,
+    whole: { label: "Whole chords", total: chords.total, correct: chords.correct, pct: pctOf(chords.correct, chords.total) },
+  };
+}
+// Exact-pitch results: pitch-class errors and octave errors (right pitch class, wrong octave) counted apart
+export function summarizeExact(aggregates, dayFilter) {
+  const { pitchClasses } = combineAggregates(aggregates, dayFilter, "exact");
+  const summarize = (label, stats) => {
+    const total = stats.reduce((sum, stat) => sum + stat.total, 0), correct = stats.reduce((sum, stat) => sum + stat.correct, 0);
+    const pitchClassCorrect = stats.reduce((sum, stat) => sum + stat.pitchClassCorrect, 0);
+    return {
+      label, total, correct, pct: pctOf(correct, total),
+      pitchClassErrors: total - pitchClassCorrect,
+      octaveErrors: pitchClassCorrect - correct,
+    };
+  };
+  const rows = PITCH_CLASSES.map((pitchClass) => summarize(pitchClass, [pitchClasses[pitchClass]]));
+  return { all: summarize("All", Object.values(pitchClasses)), rows };
+}
+// Offset is the staircase's current one, so it only makes sense for the pitch-class rows
+export function summarizeDetune(aggregates, dayFilter, options) {
+  const { pitchClasses } = combineAggregates(aggregates, dayFilter, "detune");
+  const summarize = (label, stats, offset = null) => {
+    const total = stats.reduce((sum, stat) => sum + stat.total, 0), correct = stats.reduce((sum, stat) => sum + stat.correct, 0);
+    const pitchClassCorrect = stats.reduce((sum, stat) => sum + stat.pitchClassCorrect, 0);
+    const intonationCorrect = stats.reduce((sum, stat) => sum + stat.intonationCorrect, 0);
+    return { label, total, correct, pct: pctOf(correct, total), pitchClassErrors: total - pitchClassCorrect, intonationErrors: total - intonationCorrect, offset };
+  };
+  const rows = PITCH_CLASSES.map((pitchClass) => summarize(pitchClass, [pitchClasses[pitchClass]], detuneOffset(options, pitchClass)));
+  return { all: summarize("All", Object.values(pitchClasses)), rows };
+}
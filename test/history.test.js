@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { historyToCsv, historyToJson, parseHistoryFile } from "../src/history.js";
+
+// One attempt of each kind the quiz writes, with every optional field
+const HISTORY = [
+  { ts: 1000, mode: "listen", midi: 60, pitchClass: "C", octave: 4, guess: "C", correct: true, instrument: "flute", fallback: true, playedAt: 400, responseMs: 600, replays: 1, interference: "noise", sessionId: 900 },
+  { ts: 2000, mode: "exact", midi: 62, pitchClass: "D", octave: 4, guess: "D", guessMidi: 74, correct: false, pitchClassCorrect: true, instrument: "synth:fm" },
+  { ts: 3000, mode: "detune", midi: 64, pitchClass: "E", octave: 4, guess: "E", correct: false, pitchClassCorrect: true, detuneCents: -12, intonation: "sharp", intonationCorrect: false },
+  { ts: 4000, mode: "sing", midi: 57, pitchClass: "A", octave: 3, guess: "A", correct: true, cents: -8, settleMs: 520 },
+  { ts: 5000, mode: "chord", chordId: 5000, chordSize: 2, midi: 48, pitchClass: "C", octave: 3, guess: null, correct: false },
+];
+
+test("history round-trips through a CSV export and import, booleans included", () => {
+  const { entries, invalid } = parseHistoryFile(historyToCsv(HISTORY), "history.csv");
+  assert.equal(invalid, 0);
+  // CSV has no null: an empty cell is left out
+  assert.deepEqual(entries, HISTORY.map(({ guess, ...item }) => (guess === null ? item : { ...item, guess })));
+  assert.equal(entries[0].fallback, true);
+});
+
+test("history round-trips through a JSON export and import", () => {
+  assert.deepEqual(parseHistoryFile(historyToJson(HISTORY, { profile: { name: "Sam" } }), "history.json"), { entries: HISTORY, invalid: 0 });
+});
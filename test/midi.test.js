@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PITCH_CLASSES, midiFromPitchClass, midiNoteOn, nearestMidiForPitchClass, noteNameFromMidi,
+  pitchFromMidi, scoreSungPitch, validMidisForPitchClass,
+} from "../src/midi.js";
+
+test("midiFromPitchClass uses C4 = 60", () => {
+  assert.equal(midiFromPitchClass("C", 4), 60);
+  assert.equal(midiFromPitchClass("A", 4), 69);
+  assert.equal(midiFromPitchClass("A", 0), 21);
+  assert.equal(midiFromPitchClass("C", 8), 108);
+});
+
+test("pitchFromMidi splits into pitch class and octave", () => {
+  assert.deepEqual(pitchFromMidi(61), { pitchClass: "C#", octave: 4 });
+  assert.deepEqual(pitchFromMidi(59), { pitchClass: "B", octave: 3 });
+  assert.deepEqual(pitchFromMidi(21), { pitchClass: "A", octave: 0 });
+});
+
+test("midi numbers round-trip through pitch class and octave over the soundfont range", () => {
+  for (let midi = 21; midi <= 108; midi++) {
+    assert.equal(midiFromPitchClass(pitchFromMidi(midi).pitchClass, pitchFromMidi(midi).octave), midi);
+  }
+  assert.equal(noteNameFromMidi(70), "A#4");
+});
+
+test("validMidisForPitchClass lists every octave inside the range", () => {
+  assert.deepEqual(validMidisForPitchClass("C", { min: 45, max: 79 }), [48, 60, 72]);
+  assert.deepEqual(validMidisForPitchClass("A", { min: 45, max: 79 }), [45, 57, 69]);
+  assert.deepEqual(validMidisForPitchClass("D", { min: 60, max: 61 }), []);
+  // Any span of 12 semitones has every pitch class exactly once
+  PITCH_CLASSES.forEach((pc) => assert.equal(validMidisForPitchClass(pc, { min: 50, max: 61 }).length, 1));
+});
+
+test("nearestMidiForPitchClass picks the closest octave, the lower one on a tie", () => {
+  assert.deepEqual(nearestMidiForPitchClass("G", 60), { midi: 55, pitchClass: "G", octave: 3 });
+  assert.deepEqual(nearestMidiForPitchClass("D", 60), { midi: 62, pitchClass: "D", octave: 4 });
+  assert.equal(nearestMidiForPitchClass("F#", 60).midi, 54);
+  assert.equal(nearestMidiForPitchClass("C", 60, { min: 61, max: 70 }), null);
+});
+
+test("scoreSungPitch scores in whatever octave was sung", () => {
+  assert.deepEqual(scoreSungPitch("A", 69.2), { pitchClass: "A", octave: 4, midi: 69, cents: 20, correct: true });
+  assert.deepEqual(scoreSungPitch("A", 56.7), { pitchClass: "A", octave: 3, midi: 57, cents: -30, correct: true });
+  const wrong = scoreSungPitch("C", 62);
+  assert.equal(wrong.pitchClass, "D");
+  assert.equal(wrong.correct, false);
+  assert.equal(wrong.midi, 60);
+  assert.equal(wrong.cents, 200);
+});
+
+test("midiNoteOn reads note-on messages on any channel", () => {
+  assert.equal(midiNoteOn([0x90, 60, 100]), 60);
+  assert.equal(midiNoteOn([0x9f, 72, 1]), 72);
+  // Velocity 0 is a note-off
+  assert.equal(midiNoteOn([0x90, 60, 0]), null);
+  assert.equal(midiNoteOn([0x80, 60, 64]), null);
+  assert.equal(midiNoteOn([0xb0, 64, 127]), null);
+});
@@ -0,0 +1,242 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { memoryStorage } from "../src/history.js";
+import { createQuizEngine } from "../src/quizEngine.js";
+
+// A small seeded generator, so two engines can be given the same random numbers
+function seeded(seed) {
+  let state = seed;
+  return () => { state = (state * 1664525 + 1013904223) % 4294967296; return state / 4294967296; };
+}
+function setup(settings, rng = () => 0) {
+  const clock = { time: 1000 };
+  const storage = memoryStorage();
+  const engine = createQuizEngine({ storage, settings, rng, now: () => clock.time });
+  const events = [];
+  ["roundStarted", "guessed", "roundEnded", "curriculumChanged", "sessionChanged", "sessionEnded"].forEach((name) => engine.on(name, (payload) => events.push([name, payload])));
+  return { engine, storage, clock, events };
+}
+
+test("startRound picks a selected pitch class inside the range", () => {
+  const { engine, events } = setup({ selected: { D: true }, range: { min: 60, max: 71 } });
+  const round = engine.startRound({ instrument: "oboe" });
+  assert.equal(round.midi, 62);
+  assert.equal(round.pitchClass, "D");
+  assert.equal(round.octave, 4);
+  assert.equal(round.mode, "listen");
+  assert.equal(round.instrument, "oboe");
+  assert.equal(round.heard, false);
+  assert.equal(engine.round, round);
+  assert.deepEqual(events, [["roundStarted", round]]);
+});
+
+test("an answer needs the note heard, and is timed by the injected clock", async () => {
+  const { engine, storage, clock, events } = setup({ selected: { D: true }, range: { min: 60, max: 71 } });
+  const { id } = engine.startRound({ instrument: "oboe" });
+  assert.equal(engine.answer({ pitchClass: "D" }), null);
+  assert.equal(engine.replayed(id), null, "a note that never played isn't replayed");
+
+  assert.equal(engine.heard(id).playedAt, 1000);
+  clock.time = 1800;
+  assert.equal(engine.heard(id).playedAt, 1000, "response time runs from the first play");
+  assert.equal(engine.replayed(id).replays, 1);
+  clock.time = 2500;
+  const outcome = engine.answer({ pitchClass: "D" });
+  assert.equal(outcome.correct, true);
+  assert.deepEqual(outcome.entries, [{ ts: 2500, mode: "listen", midi: 62, pitchClass: "D", octave: 4, guess: "D", correct: true, instrument: "oboe", playedAt: 1000, responseMs: 1500, replays: 1 }]);
+  assert.equal(engine.answer({ pitchClass: "D" }), null, "a round is answered once");
+
+  // guessed fires straight away, roundEnded once the attempt is saved
+  assert.deepEqual(events.slice(1).map(([name]) => name), ["guessed"]);
+  await outcome.saved;
+  assert.deepEqual(events.slice(1).map(([name]) => name), ["guessed", "roundEnded"]);
+  assert.deepEqual(events[2][1], { round: outcome.round, answered: true });
+  assert.deepEqual(storage.recent(), outcome.entries);
+  assert.equal(storage.aggregates()[0].total, 1);
+});
+
+test("leaving a round unanswered ends it without saving anything", () => {
+  const { engine, storage, events } = setup({ selected: { C: true, E: true } });
+  const first = engine.startRound();
+  const second = engine.startRound();
+  engine.endRound();
+  assert.deepEqual(events.filter(([name]) => name === "roundEnded").map(([, payload]) => payload), [
+    { round: first, answered: false },
+    { round: second, answered: false },
+  ]);
+  assert.equal(engine.round, null);
+  assert.equal(engine.isCurrent(second.id), false);
+  assert.equal(engine.heard(second.id), null);
+  assert.deepEqual(storage.recent(), []);
+});
+
+test("new targets avoid the last three notes played while another octave is left", () => {
+  const { engine } = setup({ selected: { C: true }, range: { min: 48, max: 72 } });
+  const midis = [1, 2, 3, 4].map(() => engine.startRound().midi);
+  assert.deepEqual(midis, [48, 60, 72, 48]);
+  engine.notePlayed(60);
+  assert.deepEqual(engine.recentMidis, [72, 48, 60]);
+  engine.configure({ range: { min: 36, max: 72 } });
+  assert.deepEqual(engine.recentMidis, []);
+});
+
+test("chord answers store one entry per note, pairing wrong picks with missed notes", async () => {
+  const { engine, clock } = setup({ mode: "chord", selected: { C: true, E: true, "G#": true }, chordOptions: { size: 2 } });
+  const round = engine.startRound();
+  assert.deepEqual(round.notes.map((note) => note.midi), [48, 52]);
+  engine.heard(round.id);
+  clock.time = 3000;
+  const outcome = engine.answer({ picks: ["C", "G#"] });
+  assert.equal(outcome.correct, false);
+  assert.deepEqual(outcome.entries.map(({ pitchClass, guess, correct, chordId, chordSize }) => ({ pitchClass, guess, correct, chordId, chordSize })), [
+    { pitchClass: "C", guess: "C", correct: true, chordId: 3000, chordSize: 2 },
+    { pitchClass: "E", guess: "G#", correct: false, chordId: 3000, chordSize: 2 },
+  ]);
+  await outcome.saved;
+});
+
+test("detune answers step the staircase, and a session id is stamped on the entries", () => {
+  const { engine, clock } = setup({ mode: "detune", selected: { A: true }, range: { min: 69, max: 80 }, detune: { cents: 20, adaptive: true, staircase: {} } }, () => 0.9);
+  clock.time = 7;
+  engine.startSession("notes20");
+  const round = engine.startRound();
+  assert.equal(round.detune, 20);
+  engine.heard(round.id);
+  const { entries, correct } = engine.answer({ pitchClass: "A", intonation: "sharp" });
+  assert.equal(correct, true);
+  assert.equal(entries[0].sessionId, 7);
+  assert.equal(entries[0].intonationCorrect, true);
+  assert.deepEqual(engine.settings.detune.staircase, { A: { cents: 20, run: 1 } });
+});
+
+test("exact answers score the octave apart from the pitch class", () => {
+  const { engine } = setup({ mode: "exact", selected: { C: true }, range: { min: 60, max: 71 } });
+  engine.heard(engine.startRound().id);
+  const { entries } = engine.answer({ midi: 72 });
+  assert.equal(entries[0].correct, false);
+  assert.equal(entries[0].pitchClassCorrect, true);
+  assert.equal(entries[0].guessMidi, 72);
+});
+
+test("interference is only picked once a note has been heard this sitting", () => {
+  const { engine } = setup({ selected: { C: true, E: true } });
+  assert.equal(engine.startRound({ interference: ["noise"] }).interference, undefined);
+  assert.equal(engine.startRound({ interference: ["noise"] }).interference, "noise");
+  assert.equal(engine.startRound().interference, undefined);
+});
+
+test("the same seed and clock give the same rounds", () => {
+  const settings = { selected: { C: true, D: true, E: true, F: true, G: true }, range: { min: 40, max: 80 } };
+  const run = () => {
+    const { engine } = setup(settings, seeded(42));
+    return [1, 2, 3, 4, 5, 6].map(() => engine.startRound().midi);
+  };
+  assert.deepEqual(run(), run());
+});
+
+test("advanceCurriculum unlocks from the stored attempts and selects the unlocked pitch classes", async () => {
+  const { engine, storage } = setup({ curriculum: { enabled: true, level: 3, since: 0, lastChange: null } });
+  const entries = [];
+  ["C", "E", "G#"].forEach((pc) => {
+    for (let i = 0; i < 15; i++) entries.push({ ts: 100 + i, mode: "listen", midi: 60 + entries.length, pitchClass: pc, guess: pc, correct: true });
+  });
+  await storage.add(entries);
+  const next = engine.advanceCurriculum();
+  assert.equal(next.level, 4);
+  assert.equal(engine.settings.curriculum, next);
+  assert.equal(engine.settings.selected.D, true);
+  assert.equal(engine.advanceCurriculum(), next);
+});
+
+test("the curriculum advances once an answer is saved, and announces the change until the next round", async () => {
+  const { engine, storage, events } = setup({ selected: { C: true }, curriculum: { enabled: true, level: 3, since: 0, lastChange: null } });
+  const entries = [];
+  ["C", "E", "G#"].forEach((pc) => {
+    for (let i = 0; i < 15; i++) entries.push({ ts: 100 + i, mode: "listen", midi: 60 + entries.length, pitchClass: pc, guess: pc, correct: true });
+  });
+  await storage.add(entries);
+  const round = engine.startRound();
+  engine.heard(round.id);
+  await engine.answer({ pitchClass: round.pitchClass }).saved;
+  const changes = events.filter(([name]) => name === "curriculumChanged").map(([, payload]) => payload);
+  assert.equal(changes.length, 1);
+  assert.deepEqual(changes[0].curriculum.lastChange, { type: "unlock", pitchClass: "D", ts: 1000 });
+  assert.equal(changes[0].selected, engine.settings.selected);
+  assert.deepEqual(events.slice(-2).map(([name]) => name), ["curriculumChanged", "roundEnded"], "stats catch up after the curriculum");
+
+  engine.startRound();
+  assert.equal(engine.settings.curriculum.lastChange, null);
+  assert.equal(engine.settings.curriculum.level, 4);
+});
+
+// Answers the current round (starting one if needed) with the right pitch class
+function answerRound(engine, input) {
+  const round = engine.round && !engine.round.answered ? engine.round : engine.startRound();
+  engine.heard(round.id);
+  return engine.answer(input ?? { pitchClass: round.pitchClass });
+}
+
+test("a session counts answered rounds and ends after its preset's number", async () => {
+  const { engine, events } = setup({ selected: { C: true, E: true } });
+  const session = engine.startSession("notes20");
+  assert.deepEqual(session, { id: 1000, preset: "notes20", mode: "listen", startedAt: 1000, rounds: 0 });
+  for (let i = 0; i < 19; i++) await answerRound(engine).saved;
+  assert.equal(engine.session.rounds, 19);
+  const last = answerRound(engine, { pitchClass: "D" });
+  assert.equal(engine.session, null);
+  assert.ok(last.entries.every((entry) => entry.sessionId === 1000));
+
+  // sessionEnded waits for the last save
+  assert.ok(!events.some(([name]) => name === "sessionEnded"));
+  await last.saved;
+  await new Promise((resolve) => setImmediate(resolve));
+  const ended = events.filter(([name]) => name === "sessionEnded").map(([, payload]) => payload);
+  assert.equal(ended.length, 1);
+  assert.deepEqual(ended[0].record, { id: 1000, preset: "notes20", mode: "listen", startedAt: 1000, endedAt: 1000, rounds: 20, total: 20, correct: 19 });
+  assert.equal(ended[0].entries.length, 20);
+  assert.equal(ended[0].saveFailed, false);
+  assert.deepEqual(events.filter(([name]) => name === "sessionChanged").map(([, payload]) => payload?.rounds ?? null).slice(-3), [19, 20, null]);
+});
+
+test("a timed session ends on the first answer once its time is up", () => {
+  const { engine, clock } = setup({ selected: { C: true } });
+  engine.startSession("minutes5");
+  answerRound(engine);
+  clock.time += 5 * 60 * 1000 - 1;
+  answerRound(engine);
+  assert.equal(engine.session.rounds, 2);
+  clock.time += 1;
+  answerRound(engine);
+  assert.equal(engine.session, null);
+});
+
+test("a session's summary survives failed saves, and changing mode or starting another ends it", async () => {
+  const ended = [];
+  const storage = { recent: () => [], aggregates: () => [], add: () => Promise.reject(new Error("quota")) };
+  const engine = createQuizEngine({ storage, settings: { selected: { C: true } }, rng: () => 0, now: () => 5 });
+  engine.on("sessionEnded", (payload) => ended.push(payload));
+  engine.startSession("notes20");
+  await assert.rejects(answerRound(engine).saved, /quota/);
+  engine.configure({ mode: "exact" });
+  assert.equal(engine.session, null);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(ended.length, 1);
+  assert.equal(ended[0].saveFailed, true);
+  assert.deepEqual([ended[0].record.mode, ended[0].record.total, ended[0].entries.length], ["listen", 1, 1]);
+
+  engine.startSession("notes20");
+  engine.startSession("notes50");
+  engine.endSession();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(ended.length, 1, "sessions without answers end without a record");
+});
+
+test("on returns an unsubscribe function", () => {
+  const engine = createQuizEngine({ storage: memoryStorage(), settings: { selected: { C: true } }, rng: () => 0 });
+  let started = 0;
+  const off = engine.on("roundStarted", () => { started += 1; });
+  engine.startRound();
+  off();
+  engine.startRound();
+  assert.equal(started, 1);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeAdaptiveWeights, pickRandom, pickWeighted, stepCurriculum, stepStaircase } from "../src/quizEngine.js";
+
+// An rng that returns the given values in turn
+const sequence = (...values) => { let i = 0; return () => values[i++ % values.length]; };
+const DAY = 24 * 60 * 60 * 1000;
+
+test("pickRandom maps the rng onto the list", () => {
+  const list = ["a", "b", "c", "d"];
+  assert.equal(pickRandom(list, () => 0), "a");
+  assert.equal(pickRandom(list, () => 0.5), "c");
+  assert.equal(pickRandom(list, () => 0.999), "d");
+});
+
+test("pickWeighted picks in proportion to the weights", () => {
+  const list = ["a", "b", "c"];
+  const weights = [1, 0, 3];
+  assert.equal(pickWeighted(list, weights, () => 0.2), "a");
+  assert.equal(pickWeighted(list, weights, () => 0.25), "a");
+  assert.equal(pickWeighted(list, weights, () => 0.26), "c");
+  assert.equal(pickWeighted(list, weights, () => 0.999), "c");
+  const counts = { a: 0, b: 0, c: 0 };
+  for (let i = 0; i < 400; i++) counts[pickWeighted(list, weights, () => (i + 0.5) / 400)] += 1;
+  assert.deepEqual(counts, { a: 100, b: 0, c: 300 });
+});
+
+test("pickWeighted falls back to a uniform pick without usable weights", () => {
+  assert.equal(pickWeighted(["a", "b"], [0, 0], () => 0.9), "b");
+  assert.equal(pickWeighted(["a", "b"], [NaN, 1], () => 0.1), "a");
+});
+
+test("pickWeighted doesn't change the weights it's given", () => {
+  const weights = [1, 2, 3];
+  pickWeighted(["a", "b", "c"], weights, sequence(0.1, 0.9));
+  assert.deepEqual(weights, [1, 2, 3]);
+});
+
+test("computeAdaptiveWeights favours mistakes, confusions and stale pitch classes", () => {
+  const now = 100 * DAY;
+  const [unseenC, unseenE] = computeAdaptiveWeights([], ["C", "E"], now);
+  assert.equal(unseenC, unseenE);
+
+  const history = [];
+  for (let i = 0; i < 10; i++) history.push({ ts: now - 1000, pitchClass: "C", guess: "C", correct: true });
+  for (let i = 0; i < 10; i++) history.push({ ts: now - 1000, pitchClass: "E", guess: "G#", correct: false });
+  const [c, e, gSharp] = computeAdaptiveWeights(history, ["C", "E", "G#"], now);
+  assert.ok(e > c, "wrong answers raise the weight");
+  assert.ok(gSharp > c, "the pitch class it was mistaken for needs practice too");
+
+  const fresh = computeAdaptiveWeights([{ ts: now, pitchClass: "C", guess: "C", correct: true }], ["C"], now)[0];
+  const stale = computeAdaptiveWeights([{ ts: now - 7 * DAY, pitchClass: "C", guess: "C", correct: true }], ["C"], now)[0];
+  assert.ok(stale > fresh);
+});
+
+test("stepStaircase is 2-down 1-up, within the detune limits", () => {
+  let options = { cents: 20, adaptive: true, staircase: {} };
+  options = stepStaircase(options, "C", 20, true);
+  assert.deepEqual(options.staircase.C, { cents: 20, run: 1 });
+  options = stepStaircase(options, "C", -20, true);
+  assert.deepEqual(options.staircase.C, { cents: 16, run: 0 });
+  options = stepStaircase(options, "C", 16, false);
+  assert.deepEqual(options.staircase.C, { cents: 20, run: 0 });
+
+  // In-tune rounds are catch trials, and a fixed offset never moves
+  assert.equal(stepStaircase(options, "C", 0, false), options);
+  const fixed = { ...options, adaptive: false };
+  assert.equal(stepStaircase(fixed, "C", 20, false), fixed);
+
+  let wide = { cents: 48, adaptive: true, staircase: {} };
+  wide = stepStaircase(wide, "E", 48, false);
+  assert.equal(wide.staircase.E.cents, 50);
+});
+
+test("stepCurriculum unlocks the next pitch class once every unlocked one is mastered", () => {
+  const state = { enabled: true, level: 3, since: 0, lastChange: null };
+  const history = [];
+  ["C", "E", "G#"].forEach((pc) => {
+    for (let i = 0; i < 15; i++) history.push({ ts: 1000 + i, mode: "listen", pitchClass: pc, guess: pc, correct: true });
+  });
+  const next = stepCurriculum(history, state, 5000);
+  assert.equal(next.level, 4);
+  assert.deepEqual(next.lastChange, { type: "unlock", pitchClass: "D", ts: 5000 });
+  // Not enough attempts yet: the same state comes back
+  assert.equal(stepCurriculum(history.slice(1), state, 5000), state);
+});
@@ -0,0 +1,198 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TARGET_RMS, createFallbackSource, createGeneratedSource, createMatchedFallbackSource, createMatchedGeneratedSource, createSoundfontSource, freqFromMidi, generatedLoudnessGain,
+  loudnessGain, measureLoudness, renderOffline,
+} from "../src/soundSources.js";
+
+// Just enough of OfflineAudioContext to render the oscillator voices: oscillators into gains with automation.
+// Anything else (filters, modulation) isn't implemented and throws.
+class FakeParam {
+  constructor(value) { this.value = value; this.events = []; }
+  setValueAtTime(value, time) { this.events.push({ type: "set", value, time }); return this; }
+  linearRampToValueAtTime(value, time) { this.events.push({ type: "linear", value, time }); return this; }
+  exponentialRampToValueAtTime(value, time) { this.events.push({ type: "exponential", value, time }); return this; }
+  valueAt(t) {
+    let value = this.value, from = 0;
+    for (const event of this.events) {
+      if (event.time <= t) { value = event.value; from = event.time; continue; }
+      const progress = (t - from) / (event.time - from);
+      if (event.type === "linear") return value + (event.value - value) * progress;
+      if (event.type === "exponential") return value * Math.pow(event.value / value, progress);
+      break;
+    }
+    return value;
+  }
+}
+class FakeNode {
+  constructor() { this.inputs = []; }
+  connect(node) { node.inputs.push(this); return node; }
+  sum(t) { return this.inputs.reduce((total, input) => total + input.output(t), 0); }
+}
+class FakeGain extends FakeNode {
+  constructor() { super(); this.gain = new FakeParam(1); }
+  output(t) { return this.sum(t) * this.gain.valueAt(t); }
+}
+const WAVES = {
+  sine: (phase) => Math.sin(2 * Math.PI * phase),
+  square: (phase) => (phase < 0.5 ? 1 : -1),
+  sawtooth: (phase) => 2 * phase - 1,
+  triangle: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+};
+class FakeOscillator extends FakeNode {
+  constructor() { super(); this.type = "sine"; this.frequency = new FakeParam(440); this.startAt = Infinity; this.stopAt = Infinity; }
+  start(when) { this.startAt = when; }
+  stop(when) { this.stopAt = when; }
+  output(t) {
+    if (t < this.startAt || t >= this.stopAt) return 0;
+    const phase = (this.frequency.value * (t - this.startAt)) % 1;
+    return WAVES[this.type](phase);
+  }
+}
+class FakeOfflineContext {
+  constructor(channels, length, sampleRate) {
+    Object.assign(this, { channels, length, sampleRate, currentTime: 0 });
+    this.destination = new FakeNode();
+  }
+  createGain() { return new FakeGain(); }
+  createOscillator() { return new FakeOscillator(); }
+  async startRendering() {
+    const data = new Float32Array(this.length);
+    for (let i = 0; i < data.length; i++) data[i] = this.destination.sum(i / this.sampleRate);
+    return { sampleRate: this.sampleRate, length: this.length, numberOfChannels: 1, getChannelData: () => data };
+  }
+}
+
+const SAMPLE_RATE = 8000;
+function render(name, notes) {
+  return renderOffline((ctx) => createGeneratedSource(ctx, name), notes, { sampleRate: SAMPLE_RATE, OfflineContext: FakeOfflineContext });
+}
+// Upward zero crossings per second between two times, i.e. the frequency of a periodic signal
+function frequencyOf(buffer, from, to) {
+  const data = buffer.getChannelData(0);
+  let crossings = 0;
+  for (let i = Math.ceil(from * SAMPLE_RATE) + 1; i < to * SAMPLE_RATE; i++) if (data[i - 1] < 0 && data[i] >= 0) crossings += 1;
+  return crossings / (to - from);
+}
+function slice(buffer, from, to) {
+  return Array.from(buffer.getChannelData(0).subarray(Math.floor(from * SAMPLE_RATE), Math.floor(to * SAMPLE_RATE)));
+}
+
+test("renderOffline renders an oscillator voice at the note's pitch, for the notes' length plus a tail", async () => {
+  const buffer = await render("osc:sine", [{ midi: 69, duration: 1 }]);
+  assert.equal(buffer.length, Math.ceil(1.25 * SAMPLE_RATE));
+  assert.ok(Math.abs(frequencyOf(buffer, 0.1, 0.7) - 440) < 5);
+  assert.ok(slice(buffer, 0.1, 0.7).some((sample) => Math.abs(sample) > 0.1));
+  assert.ok(slice(buffer, 1.1, 1.25).every((sample) => sample === 0), "the oscillator stops after its release");
+});
+
+test("renderOffline detunes by cents and starts each note at its time", async () => {
+  const buffer = await render("osc:triangle", [{ midi: 69, duration: 0.5, when: 0.5, cents: 100 }]);
+  assert.ok(slice(buffer, 0, 0.5).every((sample) => sample === 0));
+  assert.ok(Math.abs(frequencyOf(buffer, 0.6, 0.9) - freqFromMidi(70)) < 10);
+});
+
+test("every oscillator wave is rendered, and gain scales its level", async () => {
+  for (const wave of ["sine", "triangle", "square", "sawtooth"]) {
+    const full = measureLoudness(await render(`osc:${wave}`, [{ midi: 60, duration: 1 }]));
+    const half = measureLoudness(await render(`osc:${wave}`, [{ midi: 60, duration: 1, gain: 0.5 }]));
+    assert.ok(full.rms > 0, wave);
+    assert.ok(Math.abs(half.rms / full.rms - 0.5) < 0.01, wave);
+    assert.ok(full.peak <= 0.3 + 1e-6, `${wave} stays under the base level`);
+  }
+});
+
+test("a rendered oscillator voice can be loudness-matched to TARGET_RMS", async () => {
+  const { rms } = measureLoudness(await render("osc:square", [{ midi: 60, duration: 1 }]), 1);
+  const matched = measureLoudness(await render("osc:square", [{ midi: 60, duration: 1, gain: TARGET_RMS / rms }]), 1);
+  assert.ok(Math.abs(matched.rms - TARGET_RMS) < 0.001);
+});
+
+test("generated voices are loudness-matched per octave, measured once on its middle note", async () => {
+  const rendered = [];
+  class CountingContext extends FakeOfflineContext {
+    createOscillator() { const osc = super.createOscillator(); rendered.push(osc); return osc; }
+  }
+  const options = { sampleRate: SAMPLE_RATE, OfflineContext: CountingContext };
+  const [low, high, again] = await Promise.all([
+    generatedLoudnessGain("osc:sawtooth", 48, options), generatedLoudnessGain("osc:sawtooth", 66, options), generatedLoudnessGain("osc:sawtooth", 59, options),
+  ]);
+  assert.deepEqual(rendered.map((osc) => osc.frequency.value), [freqFromMidi(54), freqFromMidi(66)]);
+  assert.equal(again, low, "C3 and B3 share an octave");
+  const middle = await renderOffline((ctx) => createGeneratedSource(ctx, "osc:sawtooth"), [{ midi: 66, duration: 1 }], options);
+  assert.equal(high, loudnessGain(middle, 1));
+
+  // The matched source plays each note at its octave's gain
+  const ctx = new FakeOfflineContext(1, SAMPLE_RATE, SAMPLE_RATE);
+  const source = await createMatchedGeneratedSource(ctx, "osc:sawtooth", [48, 66], options);
+  source.play(66, 0.5, 0.5, 0);
+  const peak = Math.max(...ctx.destination.inputs[0].gain.events.map((event) => event.value));
+  assert.ok(Math.abs(peak - 0.3 * 0.5 * 0.5 * high) < 1e-9);
+});
+
+test("the fallback voice is loudness-matched per octave like the generated ones", async () => {
+  const options = { sampleRate: SAMPLE_RATE, OfflineContext: FakeOfflineContext };
+  const middle = await renderOffline((ctx) => createFallbackSource(ctx), [{ midi: 66, duration: 1 }], options);
+  const expected = loudnessGain(middle, 1);
+  assert.notEqual(expected, 1);
+
+  const ctx = new FakeOfflineContext(1, SAMPLE_RATE, SAMPLE_RATE);
+  const source = await createMatchedFallbackSource(ctx, [66], options);
+  source.play(66, 0.5, 0.5, 0);
+  const peak = Math.max(...ctx.destination.inputs[0].gain.events.map((event) => event.value));
+  assert.ok(Math.abs(peak - 0.25 * 0.5 * expected) < 1e-9);
+});
+
+test("renderOffline needs an OfflineAudioContext, and generated sources need a known name", async () => {
+  await assert.rejects(renderOffline(() => null, [], { OfflineContext: null }), /OfflineAudioContext unavailable/);
+  assert.throws(() => createGeneratedSource(new FakeOfflineContext(1, 1, SAMPLE_RATE), "osc:noise"), /Unknown sound source/);
+});
+
+test("a soundfont source plays the instrument's sample by note name, detuned by cents", () => {
+  const calls = [];
+  const node = { source: { detune: { value: 0 } } };
+  const inst = { play: (...args) => { calls.push(args); return node; } };
+  const source = createSoundfontSource({ currentTime: 2 }, inst);
+  source.play(70, 0.5, 0.8, 3, -15);
+  source.play(60);
+  assert.deepEqual(calls, [["A#4", 3, { gain: 0.8, duration: 0.5 }], ["C4", 2, { gain: 1, duration: 1 }]]);
+  assert.equal(node.source.detune.value, -15);
+});
+
+// An AudioBuffer stand-in at 1 kHz (50-sample loudness blocks): each segment is [seconds, amplitude] of a ±amplitude square wave
+function stubBuffer(...channels) {
+  const sampleRate = 1000;
+  const data = channels.map((segments) => Float32Array.from(segments.flatMap(([seconds, amplitude]) => (
+    Array.from({ length: seconds * sampleRate }, (_, i) => (i % 2 ? -amplitude : amplitude))
+  ))));
+  return { sampleRate, length: data[0].length, numberOfChannels: data.length, getChannelData: (ch) => data[ch] };
+}
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+test("measureLoudness gates out silence and much quieter blocks", () => {
+  const steady = measureLoudness(stubBuffer([[1, 0.2]]));
+  close(steady.rms, 0.2);
+  close(steady.peak, 0.2);
+  close(measureLoudness(stubBuffer([[1, 0.2], [1, 0]])).rms, 0.2);
+  // 20 dB down is under the relative gate; 3 dB down still counts
+  close(measureLoudness(stubBuffer([[1, 0.2], [1, 0.02]])).rms, 0.2);
+  close(measureLoudness(stubBuffer([[1, 0.2], [1, 0.2 / Math.SQRT2]])).rms, Math.sqrt((0.04 + 0.02) / 2));
+  assert.deepEqual(measureLoudness(stubBuffer([[1, 0]])), { rms: 0, peak: 0 });
+});
+
+test("measureLoudness reads only the first seconds asked for, over every channel", () => {
+  close(measureLoudness(stubBuffer([[0.5, 0.1], [0.5, 0.4]]), 0.5).rms, 0.1);
+  close(measureLoudness(stubBuffer([[0.5, 0.1], [0.5, 0.4]]), 0.5).peak, 0.1);
+  close(measureLoudness(stubBuffer([[1, 0.2]], [[1, 0]])).rms, Math.sqrt(0.02));
+});
+
+test("loudnessGain brings a sound to TARGET_RMS without clipping or blowing up quiet ones", () => {
+  close(loudnessGain(stubBuffer([[1, 0.2]])), TARGET_RMS / 0.2);
+  close(loudnessGain(stubBuffer([[1, 0.05]])), TARGET_RMS / 0.05);
+  assert.equal(loudnessGain(stubBuffer([[1, 0.001]])), 8, "limited to 8x");
+  assert.equal(loudnessGain(stubBuffer([[1, 0]])), 1, "silence is left alone");
+  // A quiet sound with a loud click can only go up until the click reaches full scale
+  const clicked = stubBuffer([[1, 0.02]]);
+  clicked.getChannelData(0)[500] = 0.5;
+  close(loudnessGain(clicked), 2);
+});
@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dayKey, memoryStorage } from "../src/history.js";
+import {
+  combineAggregates, confusionBy, hasInterferenceHistory, hasModeHistory, median, pctOf, practiceStreaks, summarizeBy, summarizeChords,
+  summarizeDetune, summarizeExact, summarizeInterference, summarizeSession, summarizeTrends,
+} from "../src/stats.js";
+
+// Local noon on the given day of January 2026
+const at = (date, minute = 0) => new Date(2026, 0, date, 12, minute).getTime();
+const listen = (ts, pitchClass, guess, extra = {}) => ({ ts, mode: "listen", midi: 60, pitchClass, octave: 4, guess, correct: pitchClass === guess, ...extra });
+
+test("median and pctOf", () => {
+  assert.equal(median([]), null);
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 2, 3]), 2.5);
+  assert.equal(pctOf(0, 0), 0);
+  assert.equal(pctOf(2, 3), 67);
+});
+
+test("combineAggregates sums one mode over the filtered days", () => {
+  const { aggregates } = memoryStorage([
+    listen(at(10), "C", "C"),
+    listen(at(10, 1), "C", "D"),
+    listen(at(11), "E", "E", { instrument: "oboe" }),
+    { ts: at(11), mode: "sing", midi: 60, pitchClass: "C", octave: 4, guess: "C", correct: true, cents: 5, settleMs: 400 },
+  ]);
+  const all = combineAggregates(aggregates(), null);
+  assert.equal(all.total, 3);
+  assert.equal(all.correct, 2);
+  assert.deepEqual([all.pitchClasses.C.total, all.pitchClasses.C.correct], [2, 1]);
+  assert.deepEqual(all.confusion.C, { C: 1, D: 1 });
+  assert.deepEqual(all.instruments, { oboe: { total: 1, correct: 1 } });
+  assert.deepEqual(all.octaves, { 4: { total: 3, correct: 2 } });
+
+  const day10 = combineAggregates(aggregates(), (day) => day === dayKey(at(10)));
+  assert.equal(day10.total, 2);
+  const sing = combineAggregates(aggregates(), null, "sing");
+  assert.equal(sing.total, 1);
+  assert.deepEqual(sing.pitchClasses.C.cents, [5]);
+  assert.ok(hasModeHistory(aggregates(), "sing"));
+  assert.ok(!hasModeHistory(aggregates(), "chord"));
+});
+
+test("memoryStorage keeps aggregates in step with what was added", async () => {
+  const entries = [listen(at(10), "C", "C"), listen(at(10, 1), "E", "C"), listen(at(12), "G#", "G#")];
+  const built = memoryStorage(entries);
+  const added = memoryStorage();
+  await added.add(entries.slice(0, 1));
+  await added.add(entries.slice(1));
+  assert.deepEqual(added.aggregates(), built.aggregates());
+  assert.deepEqual(added.recent(), entries);
+});
+
+test("summarizeBy and confusionBy", () => {
+  const { aggregates } = memoryStorage([
+    listen(at(10), "C", "C"), listen(at(10), "C", "C#"), listen(at(10), "C", "C#"), listen(at(10), "E", "G#"),
+  ]);
+  const summary = summarizeBy(aggregates(), null);
+  assert.deepEqual(summary.all, { label: "All", total: 4, correct: 1, pct: 25 });
+  assert.deepEqual(summary.rows[0], { label: "C", total: 3, correct: 1, pct: 33 });
+  assert.equal(summary.rows.length, 12);
+
+  const { matrix, pairs } = confusionBy(aggregates(), null);
+  assert.equal(matrix[0][0], 1);
+  assert.equal(matrix[0][1], 2);
+  assert.deepEqual(pairs, [
+    { target: "C", guess: "C#", count: 2, semitones: 1 },
+    { target: "E", guess: "G#", count: 1, semitones: 4 },
+  ]);
+});
+
+test("chord, exact and detune summaries count their own errors", () => {
+  const chord = (ts, notes) => notes.map(([pitchClass, guess]) => ({ ts, mode: "chord", chordId: ts, midi: 60, pitchClass, octave: 4, guess, correct: pitchClass === guess }));
+  const { aggregates } = memoryStorage([
+    ...chord(at(10), [["C", "C"], ["E", "E"]]),
+    ...chord(at(10, 1), [["C", "C"], ["G#", "A"]]),
+    { ts: at(10), mode: "exact", midi: 60, pitchClass: "C", octave: 4, guess: "C", correct: false, pitchClassCorrect: true },
+    { ts: at(10, 1), mode: "exact", midi: 60, pitchClass: "C", octave: 4, guess: "D", correct: false, pitchClassCorrect: false },
+    { ts: at(10), mode: "detune", midi: 64, pitchClass: "E", octave: 4, guess: "E", correct: false, pitchClassCorrect: true, intonationCorrect: false },
+  ]);
+  const chords = summarizeChords(aggregates(), null);
+  assert.deepEqual(chords.all, { label: "All notes", total: 4, correct: 3, pct: 75 });
+  assert.deepEqual(chords.whole, { label: "Whole chords", total: 2, correct: 1, pct: 50 });
+
+  const exact = summarizeExact(aggregates(), null);
+  assert.equal(exact.all.octaveErrors, 1);
+  assert.equal(exact.all.pitchClassErrors, 1);
+
+  const detune = summarizeDetune(aggregates(), null, { cents: 20, adaptive: true, staircase: { E: { cents: 12, run: 1 } } });
+  assert.equal(detune.all.intonationErrors, 1);
+  assert.equal(detune.all.pitchClassErrors, 0);
+  assert.equal(detune.all.offset, null);
+  assert.equal(detune.rows[4].offset, 12);
+  assert.equal(detune.rows[0].offset, 20);
+});
+
+test("summarizeInterference compares rounds after a sound with plain ones, across modes", () => {
+  const { aggregates } = memoryStorage([
+    listen(at(10), "C", "C"), listen(at(10), "C", "D", { interference: "noise" }), listen(at(10), "C", "C", { interference: "cluster" }),
+    { ts: at(11), mode: "exact", midi: 62, pitchClass: "D", octave: 4, guess: "D", correct: true, interference: "noise" },
+    { ts: at(11), mode: "sing", midi: 60, pitchClass: "C", octave: 4, guess: "C", correct: true },
+  ]);
+  const { all, rows } = summarizeInterference(aggregates(), null);
+  assert.deepEqual([all.total, all.correct], [4, 3]);
+  assert.deepEqual(rows.map((row) => [row.label, row.total, row.correct]), [["Plain", 1, 1], ["After interference", 3, 2]]);
+  assert.ok(hasInterferenceHistory(aggregates()));
+  assert.ok(!hasInterferenceHistory(memoryStorage([listen(at(10), "C", "C")]).aggregates()));
+});
+
+test("summarizeTrends and practiceStreaks read days relative to now", () => {
+  const { aggregates } = memoryStorage([
+    listen(at(5), "C", "C"),
+    listen(at(8), "C", "C"), listen(at(9), "C", "D"), listen(at(10), "E", "E"),
+    { ts: at(10), mode: "sing", midi: 60, pitchClass: "C", octave: 4, guess: "C", correct: true },
+  ]);
+  const days = summarizeTrends(aggregates(), 3, at(10));
+  assert.deepEqual(days.map((day) => day.day), [dayKey(at(8)), dayKey(at(9)), dayKey(at(10))]);
+  assert.deepEqual(days.map((day) => [day.attempts, day.total, day.correct]), [[1, 1, 1], [1, 1, 0], [2, 1, 1]]);
+  assert.deepEqual(days[2].pitchClasses, { E: { total: 1, correct: 1 } });
+
+  assert.deepEqual(practiceStreaks(aggregates(), at(10)), { current: 3, best: 3 });
+  // A streak lasts until the day after it without practice is over
+  assert.deepEqual(practiceStreaks(aggregates(), at(11)), { current: 3, best: 3 });
+  assert.deepEqual(practiceStreaks(aggregates(), at(12)), { current: 0, best: 3 });
+});
+
+test("summarizeSession lists the slowest pitch classes by median response", () => {
+  const summary = summarizeSession([
+    listen(at(10), "C", "C", { responseMs: 1000 }), listen(at(10), "C", "C", { responseMs: 3000 }),
+    listen(at(10), "E", "D", { responseMs: 5000 }), listen(at(10), "G#", "G#"),
+  ]);
+  assert.deepEqual(summary.all, { label: "All", total: 4, correct: 3, pct: 75 });
+  assert.deepEqual(summary.slowest.map((row) => [row.label, row.responseMs]), [["E", 5000], ["C", 2000]]);
+});
@@ -8,6 +8,10 @@ export default defineConfig({
   esbuild: {
     jsx: 'automatic'
   },
+  build: {
+    // Lists every built file so the opt-in offline download can cache the app shell (src/offline.js)
+    manifest: 'asset-manifest.json'
+  },
   define: {
     __BUILD_TIME__: JSON.stringify(BUILD_TIME_ISO),
   },